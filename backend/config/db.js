@@ -1,4 +1,97 @@
 const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const Hashtag = require('../models/Hashtag');
+const { normalizeTag } = require('../utils/hashtags');
+
+// MongoDB allows one text index per collection, so the old users index covering email
+// has to be dropped before the username/bio one can be built
+const migrateIndexes = async () => {
+    // Listing fails on a fresh database where the collection doesn't exist yet
+    const indexes = await User.collection.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'username_text_email_text')) {
+        await User.collection.dropIndex('username_text_email_text');
+        await User.createIndexes();
+    }
+};
+
+// Notifications from before lastActivityAt and actorIds existed: their createdAt was the last
+// activity, and the recent actors are all that's known about who acted
+const migrateNotifications = () =>
+    Notification.updateMany({ lastActivityAt: { $exists: false } }, [
+        {
+            $set: {
+                lastActivityAt: '$createdAt',
+                actorIds: { $ifNull: ['$actorIds', '$recentActorIds'] },
+            },
+        },
+    ]);
+
+// Users from before usernameLower existed
+const migrateUsernames = () =>
+    User.updateMany({ usernameLower: { $exists: false } }, [
+        { $set: { usernameLower: { $toLower: '$username' } } },
+    ]);
+
+// Run a migration that can't tell by itself whether it already ran, once per database.
+// Finished migrations are recorded in the `migrations` collection.
+const runOnce = async (name, migrate) => {
+    const migrations = mongoose.connection.collection('migrations');
+    if (await migrations.findOne({ _id: name })) {
+        return;
+    }
+    await migrate();
+    await migrations.insertOne({ _id: name, ranAt: new Date() });
+};
+
+// Posts from before hashtags were first-class kept tags as typed and were never counted.
+// Normalize their tags, then count every published post's tags from scratch; hidden posts
+// count, as they do while the counters are kept up to date.
+const migrateHashtags = async () => {
+    const ALL = { includeHidden: true, includeScheduled: true };
+    const posts = Post.find({ 'hashtags.0': { $exists: true } })
+        .setOptions(ALL)
+        .select('hashtags')
+        .cursor();
+    for await (const post of posts) {
+        const tags = [...new Set(post.hashtags.map(normalizeTag).filter(Boolean))];
+        if (tags.join() !== post.hashtags.join()) {
+            await Post.updateOne({ _id: post._id }, { hashtags: tags });
+        }
+    }
+
+    const usage = await Post.aggregate([
+        { $unwind: '$hashtags' },
+        {
+            $group: {
+                _id: '$hashtags',
+                count: { $sum: 1 },
+                firstUsedAt: { $min: '$createdAt' },
+                lastUsedAt: { $max: '$createdAt' },
+            },
+        },
+    ]).option({ includeHidden: true });
+    await Hashtag.updateMany(
+        { name: { $nin: usage.map(tag => tag._id) }, postCount: { $ne: 0 } },
+        { postCount: 0 }
+    );
+    if (usage.length) {
+        await Hashtag.bulkWrite(
+            usage.map(({ _id, count, firstUsedAt, lastUsedAt }) => ({
+                updateOne: {
+                    filter: { name: _id },
+                    update: {
+                        $set: { postCount: count },
+                        $max: { lastUsedAt },
+                        $setOnInsert: { createdAt: firstUsedAt },
+                    },
+                    upsert: true,
+                },
+            }))
+        );
+    }
+};
 
 const connectDB = async () => {
     try {
@@ -7,10 +100,14 @@ const connectDB = async () => {
             // useUnifiedTopology: true,
         });
         console.log('MongoDB connected');
+        await migrateIndexes();
+        await migrateNotifications();
+        await migrateUsernames();
+        await runOnce('hashtag-counts', migrateHashtags);
     } catch (error) {
         console.error('MongoDB connection error:', error);
         process.exit(1);
     }
 };
 
-module.exports = connectDB;
\ No newline at end of file
+module.exports = connectDB;
@@ -0,0 +1,17 @@
+const number = (value, fallback) =>
+    value === undefined || value === '' || isNaN(value) ? fallback : Number(value);
+
+// Explore ranking settings; every weight can be overridden with an EXPLORE_WEIGHT_* variable
+module.exports = {
+    windowDays: number(process.env.EXPLORE_WINDOW_DAYS, 7),
+    candidateLimit: number(process.env.EXPLORE_CANDIDATE_LIMIT, 500),
+    cacheTtlSeconds: number(process.env.EXPLORE_CACHE_TTL_SECONDS, 300),
+    recencyHalfLifeHours: number(process.env.EXPLORE_RECENCY_HALF_LIFE_HOURS, 24),
+    weights: {
+        likes: number(process.env.EXPLORE_WEIGHT_LIKES, 1),
+        comments: number(process.env.EXPLORE_WEIGHT_COMMENTS, 1.5),
+        recency: number(process.env.EXPLORE_WEIGHT_RECENCY, 2),
+        followOverlap: number(process.env.EXPLORE_WEIGHT_FOLLOW_OVERLAP, 3),
+        hashtagOverlap: number(process.env.EXPLORE_WEIGHT_HASHTAG_OVERLAP, 2),
+    },
+};
@@ -1,17 +1,20 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/tokens');
 
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) {
         return res.status(401).json({ error: 'Unauthorized' });
     }
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        const { user, error } = await verifyAccessToken(token);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+        req.user = user;
         next();
     } catch (error) {
-        res.status(401).json({ error: 'Invalid token' });
+        res.status(500).json({ error: 'Server error' });
     }
 };
 
-module.exports = authenticate;
\ No newline at end of file
+module.exports = authenticate;
@@ -0,0 +1,11 @@
+const { hasRole } = require('../utils/roles');
+
+// Only lets through users with at least `role`; must run after authenticate
+const authorize = role => (req, res, next) => {
+    if (!hasRole(req.user.role, role)) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+};
+
+module.exports = authorize;
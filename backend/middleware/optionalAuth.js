@@ -0,0 +1,21 @@
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Like authenticate, but lets anonymous requests through with req.user unset
+const optionalAuthenticate = async (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+        return next();
+    }
+    try {
+        const { user, error } = await verifyAccessToken(token);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+module.exports = optionalAuthenticate;
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const actionTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+    jti: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+});
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const blockSchema = new mongoose.Schema({
+    blockerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    blockedId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // 'block' hides both users from each other; 'mute' only hides blockedId from blockerId's feeds
+    type: { type: String, enum: ['block', 'mute'], required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+blockSchema.index({ blockerId: 1, blockedId: 1, type: 1 }, { unique: true });
+blockSchema.index({ blockedId: 1, type: 1 });
+module.exports = mongoose.model('Block', blockSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+// friendId is on userId's close-friends list and can see their close-friends stories
+const closeFriendSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    friendId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+closeFriendSchema.index({ userId: 1, friendId: 1 }, { unique: true });
+closeFriendSchema.index({ friendId: 1 });
+module.exports = mongoose.model('CloseFriend', closeFriendSchema);
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+// A private, named group of saved posts
+const collectionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    createdAt: { type: Date, default: Date.now },
+});
+collectionSchema.index({ userId: 1, name: 1 }, { unique: true });
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -1,8 +1,15 @@
 const mongoose = require('mongoose');
+const hideable = require('./plugins/hideable');
 const commentSchema = new mongoose.Schema({
     postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Replies point at a top-level comment; threads are only one level deep
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
     text: { type: String, required: true },
+    mentionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     createdAt: { type: Date, default: Date.now },
+    editedAt: { type: Date },
 });
-module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
+commentSchema.index({ postId: 1, parentId: 1, createdAt: 1 });
+commentSchema.plugin(hideable);
+module.exports = mongoose.model('Comment', commentSchema);
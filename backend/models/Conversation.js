@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const memberSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        // 'pending' keeps the conversation in the member's message-request inbox
+        status: { type: String, enum: ['pending', 'accepted'], default: 'accepted' },
+        lastReadAt: { type: Date, default: null }, // read receipt
+        joinedAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+const conversationSchema = new mongoose.Schema({
+    isGroup: { type: Boolean, default: false },
+    name: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    members: [memberSchema],
+    lastMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    lastMessageAt: { type: Date, default: Date.now },
+    createdAt: { type: Date, default: Date.now },
+});
+conversationSchema.index({ 'members.userId': 1, lastMessageAt: -1 });
+module.exports = mongoose.model('Conversation', conversationSchema);
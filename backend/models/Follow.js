@@ -2,6 +2,10 @@ const mongoose = require('mongoose');
 const followSchema = new mongoose.Schema({
     followerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     followedId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Follows of private accounts start pending until the owner approves them
+    status: { type: String, enum: ['pending', 'accepted'], default: 'accepted' },
     createdAt: { type: Date, default: Date.now },
 });
+followSchema.index({ followerId: 1, followedId: 1 });
+followSchema.index({ followedId: 1, status: 1 });
 module.exports = mongoose.model('Follow', followSchema);
\ No newline at end of file
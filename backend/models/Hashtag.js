@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const hashtagSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, lowercase: true }, // without the '#'
+    postCount: { type: Number, default: 0 },
+    // Recent usage, recomputed by the trending job
+    trendingScore: { type: Number, default: 0 },
+    lastUsedAt: { type: Date, default: Date.now },
+    createdAt: { type: Date, default: Date.now },
+});
+hashtagSchema.index({ trendingScore: -1 });
+module.exports = mongoose.model('Hashtag', hashtagSchema);
@@ -0,0 +1,8 @@
+const mongoose = require('mongoose');
+const hashtagFollowSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    hashtagId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hashtag', required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+hashtagFollowSchema.index({ userId: 1, hashtagId: 1 }, { unique: true });
+module.exports = mongoose.model('HashtagFollow', hashtagFollowSchema);
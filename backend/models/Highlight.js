@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+// A named group of the owner's stories that stays on their profile after the stories expire
+const highlightSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true, trim: true, maxlength: 50 },
+    storyIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Story' }], // display order
+    coverUrl: { type: String },
+    // Set only when the cover was uploaded rather than taken from one of the stories
+    coverMediaId: { type: String },
+    position: { type: Number, default: 0 }, // order on the owner's profile
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
+highlightSchema.index({ userId: 1, position: 1 });
+highlightSchema.index({ storyIds: 1 });
+module.exports = mongoose.model('Highlight', highlightSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { signedUrl } = require('../utils/media');
+const attachmentSchema = new mongoose.Schema(
+    {
+        url: { type: String, required: true },
+        mediaId: { type: String, required: true }, // Cloudinary public_id, file path or S3 key
+        type: { type: String, enum: ['image', 'video'], default: 'image' },
+        width: { type: Number },
+        height: { type: Number },
+    },
+    { _id: false }
+);
+const messageSchema = new mongoose.Schema({
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    text: { type: String, trim: true },
+    attachments: [attachmentSchema],
+    createdAt: { type: Date, default: Date.now },
+});
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+
+// Attachments are stored privately, so clients get short-lived signed URLs instead
+messageSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        ret.attachments = ret.attachments?.map(item => ({
+            ...item,
+            url: signedUrl(item.mediaId, item.type),
+        }));
+        return ret;
+    },
+});
+module.exports = mongoose.model('Message', messageSchema);
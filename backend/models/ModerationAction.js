@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+// Audit log entry for everything moderators and admins do
+const moderationActionSchema = new mongoose.Schema({
+    moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    action: {
+        type: String,
+        enum: [
+            'claim',
+            'release',
+            'dismiss',
+            'resolve',
+            'hide',
+            'unhide',
+            'delete_media',
+            'warn',
+            'suspend',
+            'ban',
+            'restore',
+            'logout',
+            'change_role',
+        ],
+        required: true,
+    },
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+    targetType: { type: String, enum: ['post', 'comment', 'story', 'user'] },
+    targetId: { type: mongoose.Schema.Types.ObjectId },
+    targetOwnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String },
+    createdAt: { type: Date, default: Date.now },
+});
+moderationActionSchema.index({ createdAt: -1 });
+moderationActionSchema.index({ moderatorId: 1, createdAt: -1 });
+moderationActionSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
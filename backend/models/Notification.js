@@ -1,10 +1,49 @@
 const mongoose = require('mongoose');
 const notificationSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    type: { type: String, enum: ['like', 'comment', 'follow', 'story_view'], required: true },
-    fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: {
+        type: String,
+        enum: [
+            'like',
+            'comment',
+            'comment_like',
+            'follow',
+            'follow_request',
+            'story_view',
+            'mention',
+            'tag',
+            'report_resolved',
+            'moderation_warning',
+        ],
+        required: true,
+    },
+    // Most recent actor; grouped notifications also list a few recent actors and a total.
+    // Moderation notices have no actor so moderators stay anonymous.
+    fromUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recentActorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    actorCount: { type: Number, default: 1 },
+    // Every actor of a group, which actorCount is derived from. Can grow large, so it's only
+    // loaded on request.
+    actorIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], select: false },
+    // `type:targetId` while the group is open to new actors; unset once its window has passed
+    groupKey: { type: String, select: false },
     postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' },
+    commentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
     storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+    message: { type: String }, // moderation notices only
+    readAt: { type: Date, default: null },
     createdAt: { type: Date, default: Date.now },
+    // Moves forward when a group gets a new actor so it resurfaces at the top of the list;
+    // windowStartedAt stays put and bounds how long the group keeps absorbing actors
+    lastActivityAt: { type: Date, default: Date.now },
+    windowStartedAt: { type: Date, default: Date.now },
 });
-module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
+notificationSchema.index({ userId: 1, lastActivityAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+// One open group per recipient and target
+notificationSchema.index(
+    { userId: 1, groupKey: 1 },
+    { unique: true, partialFilterExpression: { groupKey: { $exists: true } } }
+);
+module.exports = mongoose.model('Notification', notificationSchema);
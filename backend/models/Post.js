@@ -1,11 +1,63 @@
 const mongoose = require('mongoose');
+const hideable = require('./plugins/hideable');
+const schedulable = require('./plugins/schedulable');
+const mediaSchema = new mongoose.Schema(
+    {
+        url: { type: String, required: true },
+        mediaId: { type: String, required: true }, // Cloudinary public_id, file path or S3 key
+        type: { type: String, enum: ['image', 'video'], default: 'image' },
+        width: { type: Number },
+        height: { type: Number },
+        altText: { type: String },
+    },
+    { _id: false }
+);
+// A person tagged on one of the post's media items, at a point given as fractions of its size
+const tagSchema = new mongoose.Schema(
+    {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        mediaIndex: { type: Number, default: 0, min: 0 },
+        x: { type: Number, required: true, min: 0, max: 1 },
+        y: { type: Number, required: true, min: 0, max: 1 },
+    },
+    { _id: false }
+);
 const postSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Carousel items in display order (up to 10)
+    media: {
+        type: [mediaSchema],
+        validate: [items => items.length <= 10, 'A post can have at most 10 media items'],
+    },
+    // First media item, kept for clients that only know single-media posts
     mediaUrl: { type: String, required: true },
-    mediaId: { type: String, required: true }, // Cloudinary public_id
+    mediaId: { type: String, required: true },
     caption: { type: String },
     hashtags: [{ type: String }],
+    mentionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // @usernames in caption
+    tags: [tagSchema],
     createdAt: { type: Date, default: Date.now },
+    editedAt: { type: Date },
+    mediaRemovedAt: { type: Date }, // set when a moderator deleted the media
+    // Set while a published post's hashtags and notifications are still pending
+    announceRetryAt: { type: Date },
 });
 postSchema.index({ userId: 1, createdAt: -1 });
-module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
+postSchema.index({ 'tags.userId': 1, createdAt: -1 });
+postSchema.index({ caption: 'text' });
+postSchema.index({ announceRetryAt: 1 }, { sparse: true });
+
+// Posts created before carousels only have mediaUrl/mediaId; expose them as a one-item array
+postSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        if (!ret.media?.length && ret.mediaUrl) {
+            ret.media = [{ url: ret.mediaUrl, mediaId: ret.mediaId, type: 'image' }];
+        }
+        delete ret.announceRetryAt; // publisher bookkeeping
+        return ret;
+    },
+});
+
+postSchema.plugin(hideable);
+postSchema.plugin(schedulable);
+module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+// Snapshot of a post's editable fields taken just before each edit
+const postRevisionSchema = new mongoose.Schema({
+    postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    editorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    caption: { type: String },
+    hashtags: [{ type: String }],
+    altTexts: [{ type: String }],
+    createdAt: { type: Date, default: Date.now },
+});
+postRevisionSchema.index({ postId: 1, createdAt: -1 });
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const reportSchema = new mongoose.Schema({
+    reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    targetType: { type: String, enum: ['post', 'comment', 'story', 'user'], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Author of the reported content, or the reported user
+    targetOwnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: {
+        type: String,
+        enum: [
+            'spam',
+            'harassment',
+            'hate_speech',
+            'nudity',
+            'violence',
+            'self_harm',
+            'misinformation',
+            'impersonation',
+            'intellectual_property',
+            'other',
+        ],
+        required: true,
+    },
+    details: { type: String, maxlength: 1000 },
+    // open -> in_review once a moderator claims it -> resolved (action taken) or dismissed
+    status: {
+        type: String,
+        enum: ['open', 'in_review', 'resolved', 'dismissed'],
+        default: 'open',
+    },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    claimedAt: { type: Date },
+    actions: [{ type: String }], // takedown actions applied on resolution
+    resolutionNote: { type: String },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+});
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+reportSchema.index({ reporterId: 1, targetType: 1, targetId: 1 });
+module.exports = mongoose.model('Report', reportSchema);
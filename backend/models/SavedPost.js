@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const savedPostSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    // null keeps the post in the default "All saved" list only
+    collectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Collection', default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+savedPostSchema.index({ userId: 1, postId: 1 }, { unique: true });
+savedPostSchema.index({ userId: 1, collectionId: 1, createdAt: -1 });
+module.exports = mongoose.model('SavedPost', savedPostSchema);
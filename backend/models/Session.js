@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const sessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true }, // sha256 of the current refresh secret
+    userAgent: { type: String },
+    ip: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+});
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+module.exports = mongoose.model('Session', sessionSchema);
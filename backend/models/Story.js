@@ -1,12 +1,24 @@
 const mongoose = require('mongoose');
+const hideable = require('./plugins/hideable');
+const schedulable = require('./plugins/schedulable');
 const storySchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     mediaUrl: { type: String, required: true },
-    mediaId: { type: String, required: true }, // Cloudinary public_id
+    mediaId: { type: String, required: true }, // Cloudinary public_id, file path or S3 key
+    mediaType: { type: String, enum: ['image', 'video'], default: 'image' },
     caption: { type: String },
+    // 'followers' means approved followers only, even on a public account
+    audience: {
+        type: String,
+        enum: ['everyone', 'followers', 'close_friends'],
+        default: 'everyone',
+    },
     createdAt: { type: Date, default: Date.now },
     expiresAt: { type: Date, required: true },
     isActive: { type: Boolean, default: true },
+    mediaRemovedAt: { type: Date }, // set when a moderator deleted the media
 });
 storySchema.index({ userId: 1, expiresAt: 1, isActive: 1 });
+storySchema.plugin(hideable);
+storySchema.plugin(schedulable);
 module.exports = mongoose.model('Story', storySchema);
\ No newline at end of file
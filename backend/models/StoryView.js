@@ -1,7 +1,12 @@
 const mongoose = require('mongoose');
+// One row per viewer and story; repeat views bump viewCount and viewedAt.
+// Rows written before that may be duplicated, so readers aggregate by viewer.
 const storyViewSchema = new mongoose.Schema({
     storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    viewedAt: { type: Date, default: Date.now },
+    firstViewedAt: { type: Date, default: Date.now },
+    viewedAt: { type: Date, default: Date.now }, // most recent view
+    viewCount: { type: Number, default: 1 },
 });
-module.exports = mongoose.model('StoryView', storyViewSchema);
\ No newline at end of file
+storyViewSchema.index({ storyId: 1, userId: 1 });
+module.exports = mongoose.model('StoryView', storyViewSchema);
@@ -1,12 +1,39 @@
 const mongoose = require('mongoose');
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
+    // Kept in step with username so prefix search can use an index case-insensitively
+    usernameLower: { type: String },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
     profilePicture: { type: String },
-    profilePictureId: { type: String }, // Cloudinary public_id
+    profilePictureId: { type: String }, // storage id
     bio: { type: String },
+    isPrivate: { type: Boolean, default: false },
+    role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
+    // A suspension lifts itself at suspendedUntil; a ban lasts until an admin restores the account
+    suspendedUntil: { type: Date },
+    bannedAt: { type: Date },
+    suspensionReason: { type: String },
+    // Set when the user asks to delete their account; logging in before then cancels it
+    deletionScheduledFor: { type: Date },
     createdAt: { type: Date, default: Date.now },
 });
-userSchema.index({ username: 'text', email: 'text' });
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Search matches usernames and bios; email must never be searchable
+userSchema.index(
+    { username: 'text', bio: 'text' },
+    { name: 'search_text', weights: { username: 10, bio: 1 } }
+);
+userSchema.index({ usernameLower: 1 });
+userSchema.index({ suspendedUntil: 1 }, { sparse: true });
+userSchema.index({ bannedAt: 1 }, { sparse: true });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+userSchema.pre('save', function () {
+    if (this.isModified('username')) {
+        this.usernameLower = this.username.toLowerCase();
+    }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,18 @@
+// Lets moderators hide a document without deleting it. Hidden documents are left out of
+// finds, counts and aggregations unless the query sets the `includeHidden` option.
+const hideable = schema => {
+    schema.add({ hiddenAt: { type: Date, default: null } });
+
+    schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function () {
+        if (!this.getOptions().includeHidden) {
+            this.where({ hiddenAt: null });
+        }
+    });
+    schema.pre('aggregate', function () {
+        if (!this.options.includeHidden) {
+            this.pipeline().unshift({ $match: { hiddenAt: null } });
+        }
+    });
+};
+
+module.exports = hideable;
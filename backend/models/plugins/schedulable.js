@@ -0,0 +1,20 @@
+// Lets authors schedule a document for later. While `publishAt` is set the document is left
+// out of finds, counts and aggregations unless the query sets the `includeScheduled` option;
+// the publisher unsets it once the time has come.
+const schedulable = schema => {
+    schema.add({ publishAt: { type: Date } });
+    schema.index({ publishAt: 1 }, { sparse: true });
+
+    schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function () {
+        if (!this.getOptions().includeScheduled) {
+            this.where({ publishAt: null });
+        }
+    });
+    schema.pre('aggregate', function () {
+        if (!this.options.includeScheduled) {
+            this.pipeline().unshift({ $match: { publishAt: null } });
+        }
+    });
+};
+
+module.exports = schedulable;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { revokeSessions } = require('../utils/tokens');
+const { writeAccountExport } = require('../utils/export');
+const authenticate = require('../middleware/auth');
+
+const router = express.Router();
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+/**
+ * @swagger
+ * /api/account:
+ *   delete:
+ *     summary: Schedule deletion of the current user's account
+ *     description: >
+ *       The account and everything it owns are deleted permanently once the grace period
+ *       (ACCOUNT_DELETION_GRACE_DAYS, 30 days by default) has passed. All sessions are logged
+ *       out; logging in again before the deadline cancels the deletion.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled, returns deletionScheduledFor
+ *       400: { description: Invalid password }
+ */
+router.delete('/', authenticate, [body('password').notEmpty()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const isMatch = await bcrypt.compare(req.body.password, user.password);
+        if (!isMatch) {
+            return res.status(400).json({ error: 'Invalid password' });
+        }
+
+        user.deletionScheduledFor = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+        await user.save();
+        await revokeSessions({ userId: user._id });
+
+        res.json({
+            message: 'Account deletion scheduled. Log in again before then to cancel it.',
+            deletionScheduledFor: user.deletionScheduledFor,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/account/export:
+ *   get:
+ *     summary: Download everything stored about the current user
+ *     description: >
+ *       A .tar.gz with one JSON file per area (profile, posts, comments, likes, stories,
+ *       connections, saved posts, notifications, messages, reports and sessions) and the
+ *       media the user uploaded under media/.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The archive
+ *         content:
+ *           application/gzip:
+ *             schema: { type: string, format: binary }
+ */
+router.get('/export', authenticate, async (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="account-export-${date}.tar.gz"`,
+    });
+    try {
+        await writeAccountExport(req.user.userId, res);
+    } catch (error) {
+        // Once the archive has started streaming the status can't change any more, so cut the
+        // download short. This is also where a client disconnecting mid-download ends up.
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
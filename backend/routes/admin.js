@@ -0,0 +1,395 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { cursorValidators, getPageParams, buildPage } = require('../utils/pagination');
+const { suspendedFilter } = require('../utils/privacy');
+const { revokeSessions } = require('../utils/tokens');
+const { logAction } = require('../utils/moderation');
+const { escapeRegex } = require('../utils/regex');
+const router = express.Router();
+
+const MAX_SUSPEND_DAYS = 365;
+
+const userTarget = user => ({ targetType: 'user', targetId: user._id, targetOwnerId: user._id });
+
+// Load the user an admin action applies to. Sends an error and returns null if it doesn't
+// exist or is the acting admin themselves.
+const loadTargetUser = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({ errors: errors.array() });
+        return null;
+    }
+    if (req.params.id === req.user.userId) {
+        res.status(400).json({ error: 'Cannot apply this to your own account' });
+        return null;
+    }
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    return user;
+};
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List and search users
+ *     description: q matches the start of the username or email.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *       - in: query
+ *         name: role
+ *         schema: { type: string, enum: [user, moderator, admin] }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, suspended] }
+ *         description: suspended includes banned accounts
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of users with items and nextCursor }
+ *       403: { description: Not an admin }
+ */
+router.get(
+    '/users',
+    authenticate,
+    authorize('admin'),
+    [
+        query('q').optional().trim(),
+        query('role').optional().isIn(User.schema.path('role').enumValues),
+        query('status').optional().isIn(['active', 'suspended']),
+        ...cursorValidators,
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const page = getPageParams(req);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const conditions = [page.filter];
+            if (req.query.q) {
+                const pattern = new RegExp(`^${escapeRegex(req.query.q)}`, 'i');
+                conditions.push({ $or: [{ username: pattern }, { email: pattern }] });
+            }
+            if (req.query.role) {
+                conditions.push({ role: req.query.role });
+            }
+            if (req.query.status === 'suspended') {
+                conditions.push(suspendedFilter());
+            } else if (req.query.status === 'active') {
+                conditions.push({ $nor: [suspendedFilter()] });
+            }
+
+            const users = await User.find({ $and: conditions })
+                .select('-password')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            res.json(buildPage(users, page.limit));
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user's account details and active session count
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: User with activeSessions }
+ *       404: { description: User not found }
+ */
+router.get(
+    '/users/:id',
+    authenticate,
+    authorize('admin'),
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const user = await User.findById(req.params.id).select('-password');
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            const activeSessions = await Session.countDocuments({
+                userId: user._id,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() },
+            });
+            res.json({ ...user.toObject(), activeSessions });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: The user is signed out everywhere so their new tokens carry the new role.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role: { type: string, enum: [user, moderator, admin] }
+ *     responses:
+ *       200: { description: Role updated }
+ *       404: { description: User not found }
+ */
+router.put(
+    '/users/:id/role',
+    authenticate,
+    authorize('admin'),
+    [param('id').isMongoId(), body('role').isIn(User.schema.path('role').enumValues)],
+    async (req, res) => {
+        try {
+            const user = await loadTargetUser(req, res);
+            if (!user) {
+                return;
+            }
+            const previous = user.role;
+            user.role = req.body.role;
+            await user.save();
+            await revokeSessions({ userId: user._id });
+            await logAction(
+                req.user.userId,
+                'change_role',
+                userTarget(user),
+                `${previous} -> ${user.role}`
+            );
+            res.json(user);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user until a given time
+ *     description: >
+ *       Pass either until or days. The user is signed out everywhere, can't log
+ *       in and is hidden from other users until the suspension ends.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *               until: { type: string, format: date-time }
+ *               days: { type: integer, minimum: 1, maximum: 365 }
+ *     responses:
+ *       200: { description: User suspended }
+ *       400: { description: Missing or past expiry }
+ *       404: { description: User not found }
+ */
+router.post(
+    '/users/:id/suspend',
+    authenticate,
+    authorize('admin'),
+    [
+        param('id').isMongoId(),
+        body('reason').trim().notEmpty().isLength({ max: 1000 }),
+        body('until').optional().isISO8601().toDate(),
+        body('days').optional().isInt({ min: 1, max: MAX_SUSPEND_DAYS }).toInt(),
+    ],
+    async (req, res) => {
+        try {
+            const user = await loadTargetUser(req, res);
+            if (!user) {
+                return;
+            }
+            const { reason, until, days } = req.body;
+            const suspendedUntil = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : until;
+            if (!suspendedUntil || suspendedUntil <= new Date()) {
+                return res.status(400).json({ error: 'A future until or days is required' });
+            }
+
+            user.set({ suspendedUntil, suspensionReason: reason });
+            await user.save();
+            await revokeSessions({ userId: user._id });
+            await logAction(req.user.userId, 'suspend', userTarget(user), reason);
+            res.json(user);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/ban:
+ *   post:
+ *     summary: Ban a user until an admin restores the account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *     responses:
+ *       200: { description: User banned }
+ *       404: { description: User not found }
+ */
+router.post(
+    '/users/:id/ban',
+    authenticate,
+    authorize('admin'),
+    [param('id').isMongoId(), body('reason').trim().notEmpty().isLength({ max: 1000 })],
+    async (req, res) => {
+        try {
+            const user = await loadTargetUser(req, res);
+            if (!user) {
+                return;
+            }
+            user.set({ bannedAt: new Date(), suspensionReason: req.body.reason });
+            await user.save();
+            await revokeSessions({ userId: user._id });
+            await logAction(req.user.userId, 'ban', userTarget(user), req.body.reason);
+            res.json(user);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/restore:
+ *   post:
+ *     summary: Lift a user's suspension or ban
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Account restored }
+ *       404: { description: User not found }
+ */
+router.post(
+    '/users/:id/restore',
+    authenticate,
+    authorize('admin'),
+    [param('id').isMongoId()],
+    async (req, res) => {
+        try {
+            const user = await loadTargetUser(req, res);
+            if (!user) {
+                return;
+            }
+            user.set({
+                suspendedUntil: undefined,
+                bannedAt: undefined,
+                suspensionReason: undefined,
+            });
+            await user.save();
+            await logAction(req.user.userId, 'restore', userTarget(user));
+            res.json(user);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/logout:
+ *   post:
+ *     summary: Sign a user out of every session
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Sessions revoked }
+ *       404: { description: User not found }
+ */
+router.post(
+    '/users/:id/logout',
+    authenticate,
+    authorize('admin'),
+    [param('id').isMongoId()],
+    async (req, res) => {
+        try {
+            const user = await loadTargetUser(req, res);
+            if (!user) {
+                return;
+            }
+            const result = await revokeSessions({ userId: user._id });
+            await logAction(req.user.userId, 'logout', userTarget(user));
+            res.json({ message: 'Sessions revoked', revoked: result.modifiedCount });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+module.exports = router;
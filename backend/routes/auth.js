@@ -1,10 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const cloudinary = require('cloudinary').v2;
 const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Session = require('../models/Session');
+const {
+    createSession,
+    rotateSession,
+    revokeSessions,
+    createActionToken,
+    consumeActionToken,
+} = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
+const { isBlocked, isSuspended } = require('../utils/privacy');
+const { uploadFile, destroyMedia } = require('../utils/media');
 const authenticate = require('../middleware/auth');
+const optionalAuthenticate = require('../middleware/optionalAuth');
 const multer = require('multer');
 const upload = multer({ limits: { fileSize: 5 * 1024 * 1024 } }); // 5MB limit for profile pictures
 const router = express.Router();
@@ -13,7 +24,7 @@ const router = express.Router();
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Register a new user and send a verification email
  *     requestBody:
  *       required: true
  *       content:
@@ -25,7 +36,8 @@ const router = express.Router();
  *               email: { type: string }
  *               password: { type: string }
  *     responses:
- *       201: { description: User registered }
+ *       201:
+ *         description: User registered, returns access token and refresh token
  *       400: { description: Validation error }
  */
 router.post(
@@ -55,11 +67,18 @@ router.post(
             user = new User({ username, email, password: hashedPassword });
             await user.save();
 
-            const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-                expiresIn: '1d',
-            });
+            // The account exists at this point, so a mail failure mustn't fail registration;
+            // the user can request another link from /resend-verification
+            try {
+                const verifyToken = await createActionToken(user._id, 'verify_email');
+                await sendVerificationEmail(user, verifyToken);
+            } catch (error) {
+                console.error('Error sending verification email:', error);
+            }
+
+            const tokens = await createSession(user._id, req);
 
-            res.status(201).json({ token });
+            res.status(201).json(tokens);
         } catch (error) {
             res.status(500).json({ error: 'Server error' });
         }
@@ -81,8 +100,12 @@ router.post(
  *               email: { type: string }
  *               password: { type: string }
  *     responses:
- *       200: { description: User logged in }
+ *       200:
+ *         description: >
+ *           User logged in, returns access token and refresh token. deletionCancelled is
+ *           true when the login cancelled a scheduled account deletion.
  *       400: { description: Invalid credentials }
+ *       403: { description: Account suspended }
  */
 router.post(
     '/login',
@@ -105,12 +128,310 @@ router.post(
             if (!isMatch) {
                 return res.status(400).json({ error: 'Invalid credentials' });
             }
+            if (isSuspended(user)) {
+                return res.status(403).json({
+                    error: 'Account suspended',
+                    reason: user.suspensionReason,
+                    suspendedUntil: user.suspendedUntil,
+                });
+            }
 
-            const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-                expiresIn: '1d',
-            });
+            // Logging in during the grace period keeps the account
+            const deletionCancelled = Boolean(user.deletionScheduledFor);
+            if (deletionCancelled) {
+                user.deletionScheduledFor = undefined;
+                await user.save();
+            }
 
-            res.json({ token });
+            const tokens = await createSession(user._id, req);
+
+            res.json(deletionCancelled ? { ...tokens, deletionCancelled } : tokens);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200: { description: New token pair }
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post('/refresh', [body('refreshToken').notEmpty()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const tokens = await rotateSession(req.body.refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+        res.json(tokens);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the current session
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Logged out }
+ */
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await revokeSessions({ _id: req.user.sessionId });
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Active sessions }
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const { userId, sessionId } = req.user;
+        const sessions = await Session.find({
+            userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .select('userAgent ip createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 });
+        res.json(
+            sessions.map(session => ({
+                ...session.toObject(),
+                current: session._id.toString() === sessionId,
+            }))
+        );
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions (log out a device)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Session revoked }
+ *       404: { description: Session not found }
+ */
+router.delete('/sessions/:id', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await revokeSessions({ _id: req.params.id, userId: req.user.userId });
+        if (!result.modifiedCount) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke all sessions except the current one
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Other sessions revoked }
+ */
+router.delete('/sessions', authenticate, async (req, res) => {
+    try {
+        const { userId, sessionId } = req.user;
+        await revokeSessions({ userId, _id: { $ne: sessionId } });
+        res.json({ message: 'Other sessions revoked' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address using the emailed token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200: { description: Email verified }
+ *       400: { description: Invalid or expired token }
+ */
+router.post('/verify-email', [body('token').notEmpty()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const userId = await consumeActionToken(req.body.token, 'verify_email');
+        if (!userId) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+        await User.updateOne({ _id: userId }, { emailVerified: true, emailVerifiedAt: new Date() });
+        res.json({ message: 'Email verified' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Verification email sent }
+ *       400: { description: Email already verified }
+ */
+router.post('/resend-verification', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ error: 'Email already verified' });
+        }
+        const token = await createActionToken(user._id, 'verify_email');
+        await sendVerificationEmail(user, token);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string }
+ *     responses:
+ *       200: { description: Reset email sent if the account exists }
+ */
+router.post('/forgot-password', [body('email').isEmail()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user) {
+            const token = await createActionToken(user._id, 'reset_password');
+            await sendPasswordResetEmail(user, token);
+        }
+        // Same response either way so the endpoint can't be used to probe for accounts
+        res.json({ message: 'If that email is registered, a reset link has been sent' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using the emailed reset token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token: { type: string }
+ *               password: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password reset, all sessions revoked
+ *       400: { description: Invalid or expired token }
+ */
+router.post(
+    '/reset-password',
+    [body('token').notEmpty(), body('password').isLength({ min: 6 })],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const userId = await consumeActionToken(req.body.token, 'reset_password');
+            if (!userId) {
+                return res.status(400).json({ error: 'Invalid or expired token' });
+            }
+
+            const salt = await bcrypt.genSalt(10);
+            const hashedPassword = await bcrypt.hash(req.body.password, salt);
+            // Receiving the reset email also proves ownership of the address
+            await User.updateOne(
+                { _id: userId },
+                { password: hashedPassword, emailVerified: true }
+            );
+            await revokeSessions({ userId });
+
+            res.json({ message: 'Password reset' });
         } catch (error) {
             res.status(500).json({ error: 'Server error' });
         }
@@ -131,15 +452,22 @@ router.post(
  *       200: { description: User profile }
  *       404: { description: User not found }
  */
-router.get('/profile/:username', async (req, res) => {
+router.get('/profile/:username', optionalAuthenticate, async (req, res) => {
     try {
         const user = await User.findOne({ username: req.params.username }).select(
             '-password'
         );
-        if (!user) {
+        // Blocked users and suspended accounts get the same response as a missing account
+        if (
+            !user ||
+            isSuspended(user) ||
+            (req.user && (await isBlocked(req.user.userId, user._id)))
+        ) {
             return res.status(404).json({ error: 'User not found' });
         }
-        res.json(user);
+        // Moderation state is only for the account itself and staff
+        const { role, suspendedUntil, bannedAt, suspensionReason, ...profile } = user.toObject();
+        res.json(profile);
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
     }
@@ -159,6 +487,7 @@ router.get('/profile/:username', async (req, res) => {
  *             type: object
  *             properties:
  *               bio: { type: string }
+ *               isPrivate: { type: boolean }
  *               profilePicture: { type: string, format: binary }
  *     responses:
  *       200: { description: Profile updated }
@@ -166,27 +495,35 @@ router.get('/profile/:username', async (req, res) => {
 router.put('/profile', authenticate, upload.single('profilePicture'), async (req, res) => {
     try {
         const { userId } = req.user;
-        const { bio } = req.body;
+        const { bio, isPrivate } = req.body;
         const updateData = { bio };
+        if (isPrivate !== undefined) {
+            updateData.isPrivate = isPrivate === true || isPrivate === 'true';
+        }
 
         if (req.file) {
             const user = await User.findById(userId);
             if (user.profilePictureId) {
-                await cloudinary.uploader.destroy(user.profilePictureId);
+                await destroyMedia(user.profilePictureId);
             }
-            const result = await cloudinary.uploader.upload(req.file.path, {
+            const media = await uploadFile(req.file, {
                 folder: `profiles/${userId}`,
-                resource_type: 'image',
-                allowed_formats: ['jpg', 'png'],
-                transformation: [{ width: 500, height: 500, crop: 'limit' }],
+                resourceType: 'image',
+                allowedFormats: ['jpg', 'png'],
+                maxWidth: 500,
+                maxHeight: 500,
             });
-            updateData.profilePicture = result.secure_url;
-            updateData.profilePictureId = result.public_id;
+            updateData.profilePicture = media.url;
+            updateData.profilePictureId = media.mediaId;
         }
 
         const user = await User.findByIdAndUpdate(userId, updateData, { new: true }).select(
             '-password'
         );
+        // Going public lets everyone in, so pending requests no longer need approval
+        if (updateData.isPrivate === false) {
+            await Follow.updateMany({ followedId: userId, status: 'pending' }, { status: 'accepted' });
+        }
         res.json(user);
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
@@ -0,0 +1,267 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const optionalAuthenticate = require('../middleware/optionalAuth');
+const Hashtag = require('../models/Hashtag');
+const HashtagFollow = require('../models/HashtagFollow');
+const Like = require('../models/Like');
+const Post = require('../models/Post');
+const { normalizeTag } = require('../utils/hashtags');
+const { cursorValidators, getPageParams, buildPage } = require('../utils/pagination');
+const { filterVisible } = require('../utils/privacy');
+const router = express.Router();
+
+const TOP_POSTS = 9;
+const TOP_POSTS_WINDOW_DAYS = 30;
+
+// Load a hashtag by its :name param. Sends a 404 and returns null if it was never used.
+const loadHashtag = async (req, res) => {
+    const hashtag = await Hashtag.findOne({ name: normalizeTag(req.params.name) });
+    if (!hashtag) {
+        res.status(404).json({ error: 'Hashtag not found' });
+        return null;
+    }
+    return hashtag;
+};
+
+/**
+ * @swagger
+ * /api/hashtags/trending:
+ *   get:
+ *     summary: Get trending hashtags
+ *     description: Ranked by how many posts used them recently; refreshed by a scheduled job.
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 10, maximum: 50 }
+ *     responses:
+ *       200: { description: Trending hashtags }
+ */
+router.get(
+    '/trending',
+    [query('limit').optional().isInt({ min: 1, max: 50 })],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const limit = parseInt(req.query.limit) || 10;
+            const hashtags = await Hashtag.find({ trendingScore: { $gt: 0 } })
+                .sort({ trendingScore: -1, postCount: -1 })
+                .limit(limit);
+            res.json(hashtags);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/hashtags/following:
+ *   get:
+ *     summary: List the hashtags you follow
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Followed hashtags }
+ */
+router.get('/following', authenticate, async (req, res) => {
+    try {
+        const follows = await HashtagFollow.find({ userId: req.user.userId })
+            .populate('hashtagId')
+            .sort({ createdAt: -1 });
+        res.json(follows.filter(f => f.hashtagId).map(f => f.hashtagId));
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{name}:
+ *   get:
+ *     summary: Get a hashtag page header
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Hashtag with post count and whether you follow it }
+ *       404: { description: Hashtag not found }
+ */
+router.get('/:name', optionalAuthenticate, async (req, res) => {
+    try {
+        const hashtag = await loadHashtag(req, res);
+        if (!hashtag) {
+            return;
+        }
+        const following = req.user
+            ? !!(await HashtagFollow.exists({ userId: req.user.userId, hashtagId: hashtag._id }))
+            : false;
+        res.json({ ...hashtag.toObject(), following });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{name}/top:
+ *   get:
+ *     summary: Get the most liked recent posts for a hashtag
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Top posts with their like counts }
+ *       404: { description: Hashtag not found }
+ */
+router.get('/:name/top', optionalAuthenticate, async (req, res) => {
+    try {
+        const hashtag = await loadHashtag(req, res);
+        if (!hashtag) {
+            return;
+        }
+
+        const since = new Date(Date.now() - TOP_POSTS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const ranked = await Post.aggregate([
+            { $match: { hashtags: hashtag.name, createdAt: { $gte: since } } },
+            {
+                $lookup: {
+                    from: Like.collection.name,
+                    localField: '_id',
+                    foreignField: 'postId',
+                    as: 'likes',
+                },
+            },
+            { $addFields: { likeCount: { $size: '$likes' } } },
+            { $project: { likes: 0 } },
+            { $sort: { likeCount: -1, createdAt: -1 } },
+            { $limit: TOP_POSTS },
+        ]);
+        const posts = await Post.populate(ranked, {
+            path: 'userId',
+            select: 'username profilePicture',
+        });
+        res.json(await filterVisible(req.user?.userId, posts, post => post.userId._id));
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{name}/recent:
+ *   get:
+ *     summary: Get a hashtag's posts, newest first
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of posts with items and nextCursor }
+ *       404: { description: Hashtag not found }
+ */
+router.get('/:name/recent', optionalAuthenticate, cursorValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const page = getPageParams(req);
+        if (!page) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        const hashtag = await loadHashtag(req, res);
+        if (!hashtag) {
+            return;
+        }
+
+        const posts = await Post.find({ hashtags: hashtag.name, ...page.filter })
+            .populate('userId', 'username profilePicture')
+            .sort(page.sort)
+            .limit(page.limit + 1);
+        const { items, nextCursor } = buildPage(posts, page.limit);
+        const visible = await filterVisible(req.user?.userId, items, post => post.userId._id);
+        res.json({ items: visible, nextCursor });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{name}/follow:
+ *   post:
+ *     summary: Follow a hashtag so its posts appear in your feed
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Hashtag followed }
+ *       404: { description: Hashtag not found }
+ */
+router.post('/:name/follow', authenticate, async (req, res) => {
+    try {
+        const hashtag = await loadHashtag(req, res);
+        if (!hashtag) {
+            return;
+        }
+        await HashtagFollow.updateOne(
+            { userId: req.user.userId, hashtagId: hashtag._id },
+            { $setOnInsert: { createdAt: new Date() } },
+            { upsert: true }
+        );
+        res.json({ message: 'Hashtag followed' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{name}/follow:
+ *   delete:
+ *     summary: Unfollow a hashtag
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Hashtag unfollowed }
+ */
+router.delete('/:name/follow', authenticate, async (req, res) => {
+    try {
+        const hashtag = await Hashtag.findOne({ name: normalizeTag(req.params.name) });
+        if (hashtag) {
+            await HashtagFollow.deleteOne({ userId: req.user.userId, hashtagId: hashtag._id });
+        }
+        res.json({ message: 'Hashtag unfollowed' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
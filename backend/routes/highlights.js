@@ -0,0 +1,434 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const Highlight = require('../models/Highlight');
+const Story = require('../models/Story');
+const { canViewContent, getStoryAudienceFilter } = require('../utils/privacy');
+const { uploadFile, destroyMedia } = require('../utils/media');
+const multer = require('multer');
+const upload = multer({ limits: { fileSize: 10 * 1024 * 1024 } }); // 10MB limit
+const router = express.Router();
+
+const MAX_HIGHLIGHTS = 100;
+const MAX_STORIES = 100;
+
+const storyIdsValidators = [
+    body('storyIds').isArray({ min: 1, max: MAX_STORIES }),
+    body('storyIds.*').isMongoId(),
+];
+
+// Check that every id is one of the user's stories, active or expired.
+// Returns the ids deduplicated in their given order, or null if any don't belong to the user.
+const resolveOwnStories = async (storyIds, userId) => {
+    const unique = [...new Set(storyIds)];
+    const count = await Story.countDocuments({ _id: { $in: unique }, userId });
+    return count === unique.length ? unique : null;
+};
+
+// Pick the cover from one of the highlight's stories, falling back to its first story
+const coverFromStory = async (storyIds, coverStoryId) => {
+    const id = coverStoryId && storyIds.includes(coverStoryId) ? coverStoryId : storyIds[0];
+    const story = await Story.findById(id).select('mediaUrl');
+    return story?.mediaUrl;
+};
+
+// Drop an uploaded cover; story-based covers share the story's media and must be left alone
+const removeUploadedCover = async highlight => {
+    if (highlight.coverMediaId) {
+        await destroyMedia(highlight.coverMediaId, 'image');
+        highlight.coverMediaId = undefined;
+    }
+};
+
+/**
+ * @swagger
+ * /api/highlights:
+ *   post:
+ *     summary: Create a highlight from your stories
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title: { type: string }
+ *               storyIds: { type: array, items: { type: string } }
+ *               coverStoryId: { type: string }
+ *     responses:
+ *       201: { description: Highlight created }
+ *       400: { description: Invalid stories or too many highlights }
+ */
+router.post(
+    '/',
+    authenticate,
+    [
+        body('title').trim().notEmpty().isLength({ max: 50 }),
+        ...storyIdsValidators,
+        body('coverStoryId').optional().isMongoId(),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { title, coverStoryId } = req.body;
+
+            const count = await Highlight.countDocuments({ userId });
+            if (count >= MAX_HIGHLIGHTS) {
+                return res.status(400).json({ error: 'Highlight limit reached' });
+            }
+            const storyIds = await resolveOwnStories(req.body.storyIds, userId);
+            if (!storyIds) {
+                return res.status(400).json({ error: 'Invalid stories' });
+            }
+
+            const highlight = await Highlight.create({
+                userId,
+                title,
+                storyIds,
+                coverUrl: await coverFromStory(storyIds, coverStoryId),
+                position: count,
+            });
+            res.status(201).json(highlight);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/highlights/order:
+ *   put:
+ *     summary: Reorder your highlights on your profile
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               highlightIds: { type: array, items: { type: string } }
+ *     responses:
+ *       200: { description: Highlights in their new order }
+ *       400: { description: The list must contain each of your highlights exactly once }
+ */
+router.put(
+    '/order',
+    authenticate,
+    [body('highlightIds').isArray({ max: MAX_HIGHLIGHTS }), body('highlightIds.*').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { highlightIds } = req.body;
+            const owned = await Highlight.find({ userId }).select('_id');
+            const ownedIds = new Set(owned.map(h => h._id.toString()));
+            if (
+                new Set(highlightIds).size !== highlightIds.length ||
+                highlightIds.length !== ownedIds.size ||
+                !highlightIds.every(id => ownedIds.has(id))
+            ) {
+                return res.status(400).json({ error: 'Invalid highlight order' });
+            }
+
+            await Highlight.bulkWrite(
+                highlightIds.map((id, position) => ({
+                    updateOne: { filter: { _id: id, userId }, update: { position } },
+                }))
+            );
+            const highlights = await Highlight.find({ userId }).sort({ position: 1 });
+            res.json(highlights);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/highlights/user/{userId}:
+ *   get:
+ *     summary: Get a user's highlights for their profile
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Highlights in profile order, without their stories
+ *       403: { description: Account is private }
+ */
+router.get('/user/:userId', authenticate, [param('userId').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        if (!(await canViewContent(req.user.userId, req.params.userId))) {
+            return res.status(403).json({ error: 'This account is private' });
+        }
+        const highlights = await Highlight.find({ userId: req.params.userId })
+            .select('-storyIds')
+            .sort({ position: 1 });
+        res.json(highlights);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/highlights/{id}:
+ *   get:
+ *     summary: Get a highlight with its stories
+ *     description: >
+ *       Includes expired stories, in the highlight's order. Stories whose audience
+ *       excludes the viewer are left out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Highlight with populated stories }
+ *       403: { description: Account is private }
+ *       404: { description: Highlight not found }
+ */
+router.get('/:id', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const highlight = await Highlight.findById(req.params.id)
+            .populate('userId', 'username profilePicture')
+            .populate({
+                path: 'storyIds',
+                match: await getStoryAudienceFilter(req.user.userId),
+            });
+        if (!highlight) {
+            return res.status(404).json({ error: 'Highlight not found' });
+        }
+        if (!(await canViewContent(req.user.userId, highlight.userId._id))) {
+            return res.status(403).json({ error: 'This account is private' });
+        }
+        res.json(highlight);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/highlights/{id}:
+ *   put:
+ *     summary: Edit a highlight's title, stories or cover story
+ *     description: >
+ *       storyIds replaces the highlight's stories in the given order. Passing
+ *       coverStoryId replaces an uploaded cover with that story's media.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title: { type: string }
+ *               storyIds: { type: array, items: { type: string } }
+ *               coverStoryId: { type: string }
+ *     responses:
+ *       200: { description: Highlight updated }
+ *       400: { description: Invalid stories }
+ *       404: { description: Highlight not found }
+ */
+router.put(
+    '/:id',
+    authenticate,
+    [
+        param('id').isMongoId(),
+        body('title').optional().trim().notEmpty().isLength({ max: 50 }),
+        body('storyIds').optional().isArray({ min: 1, max: MAX_STORIES }),
+        body('storyIds.*').isMongoId(),
+        body('coverStoryId').optional().isMongoId(),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { title, coverStoryId } = req.body;
+            const highlight = await Highlight.findOne({ _id: req.params.id, userId });
+            if (!highlight) {
+                return res.status(404).json({ error: 'Highlight not found' });
+            }
+
+            if (title !== undefined) {
+                highlight.title = title;
+            }
+            const previousIds = highlight.storyIds.map(id => id.toString());
+            if (req.body.storyIds) {
+                const storyIds = await resolveOwnStories(req.body.storyIds, userId);
+                if (!storyIds) {
+                    return res.status(400).json({ error: 'Invalid stories' });
+                }
+                highlight.storyIds = storyIds;
+            }
+
+            const storyIds = highlight.storyIds.map(id => id.toString());
+            if (coverStoryId) {
+                if (!storyIds.includes(coverStoryId)) {
+                    return res.status(400).json({ error: 'Cover story is not in this highlight' });
+                }
+                await removeUploadedCover(highlight);
+                highlight.coverUrl = await coverFromStory(storyIds, coverStoryId);
+            } else if (!highlight.coverMediaId && storyIds[0] !== previousIds[0]) {
+                // A story-based cover follows the first story unless one was picked explicitly
+                const coverStillIncluded = await Story.exists({
+                    _id: { $in: storyIds },
+                    mediaUrl: highlight.coverUrl,
+                });
+                if (!coverStillIncluded) {
+                    highlight.coverUrl = await coverFromStory(storyIds);
+                }
+            }
+
+            highlight.updatedAt = new Date();
+            await highlight.save();
+            res.json(highlight);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/highlights/{id}/cover:
+ *   put:
+ *     summary: Upload a custom cover image for a highlight
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cover: { type: string, format: binary }
+ *     responses:
+ *       200: { description: Cover updated }
+ *       404: { description: Highlight not found }
+ */
+router.put(
+    '/:id/cover',
+    authenticate,
+    upload.single('cover'),
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+            const highlight = await Highlight.findOne({ _id: req.params.id, userId });
+            if (!highlight) {
+                return res.status(404).json({ error: 'Highlight not found' });
+            }
+
+            const media = await uploadFile(req.file, {
+                folder: `highlights/${userId}`,
+                allowedFormats: ['jpg', 'png'],
+                maxWidth: 400,
+                maxHeight: 400,
+            });
+            await removeUploadedCover(highlight);
+            highlight.coverUrl = media.url;
+            highlight.coverMediaId = media.mediaId;
+            highlight.updatedAt = new Date();
+            await highlight.save();
+            res.json(highlight);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/highlights/{id}:
+ *   delete:
+ *     summary: Delete a highlight
+ *     description: The stories themselves are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Highlight deleted }
+ *       404: { description: Highlight not found }
+ */
+router.delete('/:id', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const highlight = await Highlight.findOne({ _id: req.params.id, userId });
+        if (!highlight) {
+            return res.status(404).json({ error: 'Highlight not found' });
+        }
+        await removeUploadedCover(highlight);
+        await highlight.deleteOne();
+        await Highlight.updateMany(
+            { userId, position: { $gt: highlight.position } },
+            { $inc: { position: -1 } }
+        );
+        res.json({ message: 'Highlight deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
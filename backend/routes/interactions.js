@@ -1,13 +1,67 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const authenticate = require('../middleware/auth');
 const Like = require('../models/Like');
 const Comment = require('../models/Comment');
+const CommentLike = require('../models/CommentLike');
 const Follow = require('../models/Follow');
-const Notification = require('../models/Notification');
+const Block = require('../models/Block');
 const Post = require('../models/Post');
+const User = require('../models/User');
+const notify = require('../utils/notify');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { cursorValidators, getPageParams, buildPage } = require('../utils/pagination');
+const { canViewContent, isBlocked, getBlockedIds } = require('../utils/privacy');
+const { deleteComments } = require('../utils/cascade');
 const router = express.Router();
 
+// Attach likeCount, likedByMe and (for top-level comments) replyCount to a page of comments
+const withCommentStats = async (comments, viewerId) => {
+    const ids = comments.map(c => c._id);
+    const [likeCounts, myLikes, replyCounts] = await Promise.all([
+        CommentLike.aggregate([
+            { $match: { commentId: { $in: ids } } },
+            { $group: { _id: '$commentId', count: { $sum: 1 } } },
+        ]),
+        CommentLike.find({ commentId: { $in: ids }, userId: viewerId }).select('commentId'),
+        Comment.aggregate([
+            { $match: { parentId: { $in: ids } } },
+            { $group: { _id: '$parentId', count: { $sum: 1 } } },
+        ]),
+    ]);
+    const likes = new Map(likeCounts.map(l => [l._id.toString(), l.count]));
+    const replies = new Map(replyCounts.map(r => [r._id.toString(), r.count]));
+    const liked = new Set(myLikes.map(l => l.commentId.toString()));
+
+    return comments.map(comment => {
+        const id = comment._id.toString();
+        const stats = { likeCount: likes.get(id) || 0, likedByMe: liked.has(id) };
+        if (!comment.parentId) {
+            stats.replyCount = replies.get(id) || 0;
+        }
+        return { ...comment.toObject(), ...stats };
+    });
+};
+
+// Load a comment and its post, checking the viewer may see them. Sends the error response
+// and returns null when they can't.
+const loadVisibleComment = async (commentId, userId, res) => {
+    const comment = await Comment.findById(commentId);
+    const post = comment && (await Post.findById(comment.postId));
+    if (!comment || !post) {
+        res.status(404).json({ error: 'Comment not found' });
+        return null;
+    }
+    if (
+        !(await canViewContent(userId, post.userId)) ||
+        (await isBlocked(userId, comment.userId))
+    ) {
+        res.status(403).json({ error: 'Unauthorized' });
+        return null;
+    }
+    return { comment, post };
+};
+
 /**
  * @swagger
  * /api/interactions/like:
@@ -39,6 +93,14 @@ router.post(
             const { userId } = req.user;
             const { postId } = req.body;
 
+            const post = await Post.findById(postId);
+            if (!post) {
+                return res.status(404).json({ error: 'Post not found' });
+            }
+            if (!(await canViewContent(userId, post.userId))) {
+                return res.status(403).json({ error: 'Unauthorized' });
+            }
+
             const existingLike = await Like.findOne({ postId, userId });
             if (existingLike) {
                 return res.status(400).json({ error: 'Already liked' });
@@ -47,8 +109,7 @@ router.post(
             const like = new Like({ postId, userId });
             await like.save();
 
-            const post = await Post.findById(postId);
-            await Notification.create({
+            await notify({
                 userId: post.userId,
                 type: 'like',
                 fromUserId: userId,
@@ -105,7 +166,7 @@ router.delete(
  * @swagger
  * /api/interactions/comment:
  *   post:
- *     summary: Comment on a post
+ *     summary: Comment on a post, or reply to a comment
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -116,13 +177,18 @@ router.delete(
  *             properties:
  *               postId: { type: string }
  *               text: { type: string }
+ *               parentId: { type: string, description: Comment being replied to }
  *     responses:
  *       201: { description: Comment created }
  */
 router.post(
     '/comment',
     authenticate,
-    [body('postId').isMongoId(), body('text').notEmpty().trim()],
+    [
+        body('postId').isMongoId(),
+        body('text').notEmpty().trim(),
+        body('parentId').optional().isMongoId(),
+    ],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -133,15 +199,58 @@ router.post(
             const { userId } = req.user;
             const { postId, text } = req.body;
 
-            const comment = new Comment({ postId, userId, text });
+            const post = await Post.findById(postId);
+            if (!post) {
+                return res.status(404).json({ error: 'Post not found' });
+            }
+            if (!(await canViewContent(userId, post.userId))) {
+                return res.status(403).json({ error: 'Unauthorized' });
+            }
+
+            let parent = null;
+            if (req.body.parentId) {
+                parent = await Comment.findOne({ _id: req.body.parentId, postId });
+                if (!parent) {
+                    return res.status(404).json({ error: 'Comment not found' });
+                }
+                // Replies to a reply join the same thread under its top-level comment
+                if (parent.parentId) {
+                    parent = await Comment.findById(parent.parentId);
+                }
+            }
+
+            const mentionIds = await resolveMentions(text);
+            const comment = new Comment({
+                postId,
+                userId,
+                text,
+                parentId: parent?._id || null,
+                mentionIds,
+            });
             await comment.save();
 
-            const post = await Post.findById(postId);
-            await Notification.create({
+            await notify({
                 userId: post.userId,
                 type: 'comment',
                 fromUserId: userId,
                 postId,
+                commentId: comment._id,
+            });
+            if (parent && parent.userId.toString() !== post.userId.toString()) {
+                await notify({
+                    userId: parent.userId,
+                    type: 'comment',
+                    fromUserId: userId,
+                    postId,
+                    commentId: comment._id,
+                });
+            }
+
+            await notifyMentions({
+                mentionIds,
+                fromUserId: userId,
+                postId,
+                commentId: comment._id,
             });
 
             res.status(201).json(comment);
@@ -151,6 +260,326 @@ router.post(
     }
 );
 
+/**
+ * @swagger
+ * /api/interactions/comments:
+ *   get:
+ *     summary: List a post's top-level comments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: postId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of comments with like and reply counts with items and nextCursor }
+ *       403: { description: Unauthorized }
+ */
+router.get(
+    '/comments',
+    authenticate,
+    [
+        query('postId').isMongoId(),
+        ...cursorValidators,
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { postId } = req.query;
+            const page = getPageParams(req, 'createdAt', 1);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const post = await Post.findById(postId);
+            if (!post) {
+                return res.status(404).json({ error: 'Post not found' });
+            }
+            if (!(await canViewContent(userId, post.userId))) {
+                return res.status(403).json({ error: 'Unauthorized' });
+            }
+
+            const blockedIds = await getBlockedIds(userId);
+            const comments = await Comment.find({
+                postId,
+                parentId: null,
+                userId: { $nin: blockedIds },
+                ...page.filter,
+            })
+                .populate('userId', 'username profilePicture')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+
+            const { items, nextCursor } = buildPage(comments, page.limit);
+            res.json({ items: await withCommentStats(items, userId), nextCursor });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/comment/{id}/replies:
+ *   get:
+ *     summary: List replies to a comment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of replies with like counts with items and nextCursor }
+ */
+router.get(
+    '/comment/:id/replies',
+    authenticate,
+    [
+        param('id').isMongoId(),
+        ...cursorValidators,
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const page = getPageParams(req, 'createdAt', 1);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const loaded = await loadVisibleComment(req.params.id, userId, res);
+            if (!loaded) {
+                return;
+            }
+
+            const blockedIds = await getBlockedIds(userId);
+            const replies = await Comment.find({
+                parentId: loaded.comment._id,
+                userId: { $nin: blockedIds },
+                ...page.filter,
+            })
+                .populate('userId', 'username profilePicture')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+
+            const { items, nextCursor } = buildPage(replies, page.limit);
+            res.json({ items: await withCommentStats(items, userId), nextCursor });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/comment/{id}:
+ *   put:
+ *     summary: Edit your comment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text: { type: string }
+ *     responses:
+ *       200: { description: Comment updated }
+ *       403: { description: Unauthorized }
+ */
+router.put(
+    '/comment/:id',
+    authenticate,
+    [param('id').isMongoId(), body('text').notEmpty().trim()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const comment = await Comment.findById(req.params.id);
+            if (!comment) {
+                return res.status(404).json({ error: 'Comment not found' });
+            }
+            if (comment.userId.toString() !== userId) {
+                return res.status(403).json({ error: 'Unauthorized' });
+            }
+
+            const previousMentions = comment.mentionIds;
+            comment.text = req.body.text;
+            comment.mentionIds = await resolveMentions(comment.text);
+            comment.editedAt = new Date();
+            await comment.save();
+            await notifyMentions({
+                mentionIds: comment.mentionIds,
+                previousIds: previousMentions,
+                fromUserId: userId,
+                postId: comment.postId,
+                commentId: comment._id,
+            });
+
+            res.json(comment);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/comment/{id}:
+ *   delete:
+ *     summary: Delete a comment and its replies
+ *     description: Allowed for the comment's author and the owner of the post.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Comment deleted }
+ *       403: { description: Unauthorized }
+ */
+router.delete('/comment/:id', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const comment = await Comment.findById(req.params.id);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        const post = await Post.findById(comment.postId).select('userId');
+        const isAuthor = comment.userId.toString() === userId;
+        const isPostOwner = post && post.userId.toString() === userId;
+        if (!isAuthor && !isPostOwner) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        await deleteComments([comment._id]);
+        res.json({ message: 'Comment deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/interactions/comment/{id}/like:
+ *   post:
+ *     summary: Like a comment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Comment liked }
+ */
+router.post('/comment/:id/like', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const loaded = await loadVisibleComment(req.params.id, userId, res);
+        if (!loaded) {
+            return;
+        }
+        const { comment } = loaded;
+
+        const existingLike = await CommentLike.findOne({ commentId: comment._id, userId });
+        if (existingLike) {
+            return res.status(400).json({ error: 'Already liked' });
+        }
+        await CommentLike.create({ commentId: comment._id, userId });
+
+        await notify({
+            userId: comment.userId,
+            type: 'comment_like',
+            fromUserId: userId,
+            postId: comment.postId,
+            commentId: comment._id,
+        });
+
+        res.json({ message: 'Comment liked' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/interactions/comment/{id}/like:
+ *   delete:
+ *     summary: Unlike a comment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Comment unliked }
+ */
+router.delete('/comment/:id/like', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await CommentLike.deleteOne({ commentId: req.params.id, userId: req.user.userId });
+        res.json({ message: 'Comment unliked' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * @swagger
  * /api/interactions/follow:
@@ -166,7 +595,8 @@ router.post(
  *             properties:
  *               followedId: { type: string }
  *     responses:
- *       200: { description: User followed }
+ *       200:
+ *         description: User followed, or follow requested if the account is private
  */
 router.post(
     '/follow',
@@ -186,21 +616,33 @@ router.post(
                 return res.status(400).json({ error: 'Cannot follow yourself' });
             }
 
+            const followed = await User.findById(followedId).select('isPrivate');
+            if (!followed) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            if (await isBlocked(userId, followedId)) {
+                return res.status(403).json({ error: 'Cannot follow this user' });
+            }
+
             const existingFollow = await Follow.findOne({ followerId: userId, followedId });
             if (existingFollow) {
+                if (existingFollow.status === 'pending') {
+                    return res.status(400).json({ error: 'Follow already requested' });
+                }
                 return res.status(400).json({ error: 'Already following' });
             }
 
-            const follow = new Follow({ followerId: userId, followedId });
+            const status = followed.isPrivate ? 'pending' : 'accepted';
+            const follow = new Follow({ followerId: userId, followedId, status });
             await follow.save();
 
-            await Notification.create({
+            await notify({
                 userId: followedId,
-                type: 'follow',
+                type: status === 'pending' ? 'follow_request' : 'follow',
                 fromUserId: userId,
             });
 
-            res.json({ message: 'User followed' });
+            res.json({ message: status === 'pending' ? 'Follow requested' : 'User followed', status });
         } catch (error) {
             res.status(500).json({ error: 'Server error' });
         }
@@ -211,7 +653,7 @@ router.post(
  * @swagger
  * /api/interactions/follow:
  *   delete:
- *     summary: Unfollow a user
+ *     summary: Unfollow a user or cancel a pending follow request
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -246,4 +688,342 @@ router.delete(
     }
 );
 
+/**
+ * @swagger
+ * /api/interactions/follow-requests:
+ *   get:
+ *     summary: List pending follow requests for the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Pending follow requests }
+ */
+router.get('/follow-requests', authenticate, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const requests = await Follow.find({ followedId: userId, status: 'pending' })
+            .populate('followerId', 'username profilePicture')
+            .sort({ createdAt: -1 });
+        res.json(requests);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/interactions/follow-requests/{id}/approve:
+ *   post:
+ *     summary: Approve a pending follow request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Follow request approved }
+ *       404: { description: Follow request not found }
+ */
+router.post(
+    '/follow-requests/:id/approve',
+    authenticate,
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const follow = await Follow.findOneAndUpdate(
+                { _id: req.params.id, followedId: userId, status: 'pending' },
+                { status: 'accepted' },
+                { new: true }
+            );
+            if (!follow) {
+                return res.status(404).json({ error: 'Follow request not found' });
+            }
+            res.json({ message: 'Follow request approved' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/follow-requests/{id}:
+ *   delete:
+ *     summary: Reject a pending follow request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Follow request rejected }
+ *       404: { description: Follow request not found }
+ */
+router.delete(
+    '/follow-requests/:id',
+    authenticate,
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const follow = await Follow.findOneAndDelete({
+                _id: req.params.id,
+                followedId: userId,
+                status: 'pending',
+            });
+            if (!follow) {
+                return res.status(404).json({ error: 'Follow request not found' });
+            }
+            res.json({ message: 'Follow request rejected' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/block:
+ *   post:
+ *     summary: Block a user
+ *     description: Removes follows both ways and hides each user's content from the other.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId: { type: string }
+ *     responses:
+ *       200: { description: User blocked }
+ */
+router.post(
+    '/block',
+    authenticate,
+    [body('userId').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const blockerId = req.user.userId;
+            const blockedId = req.body.userId;
+
+            if (blockerId === blockedId) {
+                return res.status(400).json({ error: 'Cannot block yourself' });
+            }
+            if (!(await User.exists({ _id: blockedId }))) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            await Block.updateOne(
+                { blockerId, blockedId, type: 'block' },
+                { $setOnInsert: { createdAt: new Date() } },
+                { upsert: true }
+            );
+            await Follow.deleteMany({
+                $or: [
+                    { followerId: blockerId, followedId: blockedId },
+                    { followerId: blockedId, followedId: blockerId },
+                ],
+            });
+            res.json({ message: 'User blocked' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/block:
+ *   delete:
+ *     summary: Unblock a user
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId: { type: string }
+ *     responses:
+ *       200: { description: User unblocked }
+ */
+router.delete(
+    '/block',
+    authenticate,
+    [body('userId').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            await Block.deleteOne({
+                blockerId: req.user.userId,
+                blockedId: req.body.userId,
+                type: 'block',
+            });
+            res.json({ message: 'User unblocked' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/blocks:
+ *   get:
+ *     summary: List users blocked by the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Blocked users }
+ */
+router.get('/blocks', authenticate, async (req, res) => {
+    try {
+        const entries = await Block.find({ blockerId: req.user.userId, type: 'block' })
+            .populate('blockedId', 'username profilePicture')
+            .sort({ createdAt: -1 });
+        res.json(entries);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/interactions/mute:
+ *   post:
+ *     summary: Mute a user
+ *     description: Hides the user's posts and stories from the current user's feeds.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId: { type: string }
+ *     responses:
+ *       200: { description: User muted }
+ */
+router.post(
+    '/mute',
+    authenticate,
+    [body('userId').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const blockerId = req.user.userId;
+            const blockedId = req.body.userId;
+
+            if (blockerId === blockedId) {
+                return res.status(400).json({ error: 'Cannot mute yourself' });
+            }
+            if (!(await User.exists({ _id: blockedId }))) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            await Block.updateOne(
+                { blockerId, blockedId, type: 'mute' },
+                { $setOnInsert: { createdAt: new Date() } },
+                { upsert: true }
+            );
+            res.json({ message: 'User muted' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/mute:
+ *   delete:
+ *     summary: Unmute a user
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId: { type: string }
+ *     responses:
+ *       200: { description: User unmuted }
+ */
+router.delete(
+    '/mute',
+    authenticate,
+    [body('userId').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            await Block.deleteOne({
+                blockerId: req.user.userId,
+                blockedId: req.body.userId,
+                type: 'mute',
+            });
+            res.json({ message: 'User unmuted' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/interactions/mutes:
+ *   get:
+ *     summary: List users muted by the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Muted users }
+ */
+router.get('/mutes', authenticate, async (req, res) => {
+    try {
+        const entries = await Block.find({ blockerId: req.user.userId, type: 'mute' })
+            .populate('blockedId', 'username profilePicture')
+            .sort({ createdAt: -1 });
+        res.json(entries);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,526 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const { uploadAll, destroyAll } = require('../utils/media');
+const { cursorValidators, getPageParams, buildPage } = require('../utils/pagination');
+const { getBlockedIds, isApprovedFollower, isBlocked } = require('../utils/privacy');
+const { pushToUser } = require('../utils/realtime');
+const multer = require('multer');
+const upload = multer({ limits: { fileSize: 100 * 1024 * 1024 } }); // 100MB limit
+const router = express.Router();
+
+const MAX_GROUP_SIZE = 20;
+const MAX_ATTACHMENTS = 10;
+const MEMBER_FIELDS = 'username profilePicture';
+
+// members.userId may be populated, and is null when a populated account no longer exists
+const memberIdOf = member => member.userId && (member.userId._id || member.userId);
+
+const findMember = (conversation, userId) =>
+    conversation.members.find(m => memberIdOf(m)?.toString() === userId.toString());
+
+const otherMemberIds = (conversation, userId) =>
+    conversation.members
+        .map(memberIdOf)
+        .filter(id => id && id.toString() !== userId.toString());
+
+// Load a conversation the user belongs to. Sends a 404 and returns null otherwise.
+const loadConversation = async (conversationId, userId, res) => {
+    const conversation = await Conversation.findOne({
+        _id: conversationId,
+        'members.userId': userId,
+    });
+    if (!conversation) {
+        res.status(404).json({ error: 'Conversation not found' });
+        return null;
+    }
+    return conversation;
+};
+
+// Direct messages stop once the other account is blocked or gone. In a group, members can't
+// post once another member has blocked them.
+const canMessage = async (conversation, senderId) => {
+    if (conversation.isGroup) {
+        return !(await Block.exists({
+            type: 'block',
+            blockerId: { $in: otherMemberIds(conversation, senderId) },
+            blockedId: senderId,
+        }));
+    }
+    const [otherId] = otherMemberIds(conversation, senderId);
+    if (!otherId || !(await User.exists({ _id: otherId }))) {
+        return false;
+    }
+    return !(await isBlocked(senderId, otherId));
+};
+
+/**
+ * @swagger
+ * /api/messages/conversations:
+ *   post:
+ *     summary: Start a 1:1 or group conversation
+ *     description: >
+ *       Returns the existing conversation for a 1:1 that already exists. Recipients who
+ *       don't follow the sender get it in their message-request inbox.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               participantIds: { type: array, items: { type: string } }
+ *               name: { type: string }
+ *     responses:
+ *       200: { description: Existing conversation }
+ *       201: { description: Conversation created }
+ *       403: { description: Cannot message one of the participants }
+ */
+router.post(
+    '/conversations',
+    authenticate,
+    [
+        body('participantIds').isArray({ min: 1, max: MAX_GROUP_SIZE - 1 }),
+        body('participantIds.*').isMongoId(),
+        body('name').optional().trim().isLength({ max: 100 }),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const participantIds = [...new Set(req.body.participantIds)].filter(
+                id => id !== userId
+            );
+            if (!participantIds.length) {
+                return res.status(400).json({ error: 'Cannot message yourself' });
+            }
+
+            const count = await User.countDocuments({ _id: { $in: participantIds } });
+            if (count !== participantIds.length) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            const blockedIds = (await getBlockedIds(userId)).map(id => id.toString());
+            if (participantIds.some(id => blockedIds.includes(id))) {
+                return res.status(403).json({ error: 'Cannot message this user' });
+            }
+
+            const isGroup = participantIds.length > 1;
+            if (!isGroup) {
+                const existing = await Conversation.findOne({
+                    isGroup: false,
+                    members: { $size: 2 },
+                    'members.userId': { $all: [userId, participantIds[0]] },
+                });
+                if (existing) {
+                    return res.json(existing);
+                }
+            }
+
+            const members = [{ userId, status: 'accepted', lastReadAt: new Date() }];
+            for (const participantId of participantIds) {
+                const follows = await isApprovedFollower(participantId, userId);
+                members.push({ userId: participantId, status: follows ? 'accepted' : 'pending' });
+            }
+
+            const conversation = await Conversation.create({
+                isGroup,
+                name: isGroup ? req.body.name : undefined,
+                createdBy: userId,
+                members,
+            });
+            res.status(201).json(conversation);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/messages/conversations:
+ *   get:
+ *     summary: List conversations with their latest message and unread count
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: folder
+ *         schema: { type: string, enum: [inbox, requests], default: inbox }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of conversations with items and nextCursor }
+ */
+router.get(
+    '/conversations',
+    authenticate,
+    [query('folder').optional().isIn(['inbox', 'requests']), ...cursorValidators],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const page = getPageParams(req, 'lastMessageAt');
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const status = req.query.folder === 'requests' ? 'pending' : 'accepted';
+            const conversations = await Conversation.find({
+                members: { $elemMatch: { userId, status } },
+                ...page.filter,
+            })
+                .populate('members.userId', MEMBER_FIELDS)
+                .populate('lastMessageId')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            const { items, nextCursor } = buildPage(conversations, page.limit, 'lastMessageAt');
+
+            // Hide 1:1 threads with blocked or deleted accounts
+            const blockedIds = (await getBlockedIds(userId)).map(id => id.toString());
+            const visible = items.filter(conversation => {
+                if (conversation.isGroup) {
+                    return true;
+                }
+                const [otherId] = otherMemberIds(conversation, userId);
+                return otherId && !blockedIds.includes(otherId.toString());
+            });
+
+            const withUnread = await Promise.all(
+                visible.map(async conversation => {
+                    const me = findMember(conversation, userId);
+                    const unreadCount = await Message.countDocuments({
+                        conversationId: conversation._id,
+                        senderId: { $ne: userId },
+                        createdAt: { $gt: me.lastReadAt || new Date(0) },
+                    });
+                    return { ...conversation.toObject(), unreadCount };
+                })
+            );
+            res.json({ items: withUnread, nextCursor });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/messages:
+ *   get:
+ *     summary: List messages in a conversation, newest first
+ *     description: Each message lists the members who have read it in `readBy`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of messages with items and nextCursor }
+ *       404: { description: Conversation not found }
+ */
+router.get(
+    '/conversations/:id/messages',
+    authenticate,
+    [param('id').isMongoId(), ...cursorValidators],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const page = getPageParams(req);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            const conversation = await loadConversation(req.params.id, userId, res);
+            if (!conversation) {
+                return;
+            }
+
+            const messages = await Message.find({
+                conversationId: conversation._id,
+                ...page.filter,
+            })
+                .populate('senderId', MEMBER_FIELDS)
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            const { items, nextCursor } = buildPage(messages, page.limit);
+
+            const withReceipts = items.map(message => {
+                const senderId = message.senderId?._id.toString();
+                const readBy = conversation.members
+                    .filter(m => m.lastReadAt >= message.createdAt)
+                    .map(m => m.userId)
+                    .filter(id => id.toString() !== senderId);
+                return { ...message.toObject(), readBy };
+            });
+            res.json({ items: withReceipts, nextCursor });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/messages:
+ *   post:
+ *     summary: Send a message with text, media attachments or both
+ *     description: Replying to a message request accepts it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text: { type: string }
+ *               media: { type: array, items: { type: string, format: binary }, maxItems: 10 }
+ *     responses:
+ *       201: { description: Message sent }
+ *       403: { description: Cannot message this user }
+ */
+router.post(
+    '/conversations/:id/messages',
+    authenticate,
+    upload.array('media', MAX_ATTACHMENTS),
+    [param('id').isMongoId(), body('text').optional().trim().isLength({ max: 2000 })],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { text } = req.body;
+            if (!text && !req.files?.length) {
+                return res.status(400).json({ error: 'Message is empty' });
+            }
+
+            const conversation = await loadConversation(req.params.id, userId, res);
+            if (!conversation) {
+                return;
+            }
+            if (!(await canMessage(conversation, userId))) {
+                return res.status(403).json({ error: 'Cannot message this user' });
+            }
+
+            const attachments = req.files?.length
+                ? await uploadAll(req.files, {
+                      folder: `messages/${conversation._id}`,
+                      isPrivate: true,
+                      allowedFormats: ['jpg', 'png', 'mp4'],
+                      maxWidth: 1000,
+                      maxHeight: 1000,
+                  })
+                : [];
+            let message;
+            try {
+                message = await Message.create({
+                    conversationId: conversation._id,
+                    senderId: userId,
+                    text,
+                    attachments,
+                });
+            } catch (error) {
+                await destroyAll(attachments);
+                throw error;
+            }
+
+            const me = findMember(conversation, userId);
+            me.status = 'accepted';
+            me.lastReadAt = message.createdAt;
+            conversation.lastMessageId = message._id;
+            conversation.lastMessageAt = message.createdAt;
+            await conversation.save();
+
+            await message.populate('senderId', MEMBER_FIELDS);
+            await Promise.all(
+                otherMemberIds(conversation, userId).map(memberId =>
+                    pushToUser(memberId, 'message', message).catch(error =>
+                        console.error('Error pushing message:', error)
+                    )
+                )
+            );
+
+            res.status(201).json(message);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/read:
+ *   post:
+ *     summary: Mark a conversation as read up to now
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Conversation marked as read }
+ */
+router.post(
+    '/conversations/:id/read',
+    authenticate,
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const conversation = await loadConversation(req.params.id, userId, res);
+            if (!conversation) {
+                return;
+            }
+
+            const readAt = new Date();
+            findMember(conversation, userId).lastReadAt = readAt;
+            await conversation.save();
+
+            const receipt = { conversationId: conversation._id, userId, readAt };
+            await Promise.all(
+                otherMemberIds(conversation, userId).map(memberId =>
+                    pushToUser(memberId, 'read', receipt).catch(error =>
+                        console.error('Error pushing read receipt:', error)
+                    )
+                )
+            );
+            res.json({ message: 'Conversation marked as read' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/accept:
+ *   post:
+ *     summary: Accept a message request, moving it to the inbox
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Message request accepted }
+ */
+router.post(
+    '/conversations/:id/accept',
+    authenticate,
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const conversation = await loadConversation(req.params.id, userId, res);
+            if (!conversation) {
+                return;
+            }
+            findMember(conversation, userId).status = 'accepted';
+            await conversation.save();
+            res.json({ message: 'Message request accepted' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}:
+ *   delete:
+ *     summary: Leave a conversation or decline a message request
+ *     description: The conversation and its media are deleted once its last member leaves.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Left conversation }
+ */
+router.delete('/conversations/:id', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const conversation = await loadConversation(req.params.id, userId, res);
+        if (!conversation) {
+            return;
+        }
+
+        conversation.members = conversation.members.filter(
+            m => m.userId.toString() !== userId
+        );
+        if (conversation.members.length) {
+            await conversation.save();
+        } else {
+            const messages = await Message.find({ conversationId: conversation._id });
+            await destroyAll(messages.flatMap(message => message.attachments));
+            await Message.deleteMany({ conversationId: conversation._id });
+            await conversation.deleteOne();
+        }
+        res.json({ message: 'Left conversation' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
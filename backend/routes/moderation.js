@@ -0,0 +1,511 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Report = require('../models/Report');
+const ModerationAction = require('../models/ModerationAction');
+const notify = require('../utils/notify');
+const { cursorValidators, getPageParams, buildPage } = require('../utils/pagination');
+const {
+    TARGET_ACTIONS,
+    OWNER_ACTIONS,
+    loadTarget,
+    canActOnOwner,
+    logAction,
+    applyAction,
+} = require('../utils/moderation');
+const router = express.Router();
+
+const MAX_SUSPEND_DAYS = 365;
+const USER_FIELDS = 'username profilePicture';
+const OPEN = { status: { $in: ['open', 'in_review'] } };
+
+/**
+ * @swagger
+ * /api/moderation/reports:
+ *   get:
+ *     summary: List reports in the moderation queue, oldest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [open, in_review, resolved, dismissed], default: open }
+ *       - in: query
+ *         name: targetType
+ *         schema: { type: string, enum: [post, comment, story, user] }
+ *       - in: query
+ *         name: mine
+ *         schema: { type: boolean }
+ *         description: Only reports claimed by you
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of reports with items and nextCursor }
+ *       403: { description: Not a moderator }
+ */
+router.get(
+    '/reports',
+    authenticate,
+    authorize('moderator'),
+    [
+        query('status').optional().isIn(Report.schema.path('status').enumValues),
+        query('targetType').optional().isIn(Report.schema.path('targetType').enumValues),
+        query('mine').optional().isBoolean(),
+        ...cursorValidators,
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const page = getPageParams(req, 'createdAt', 1);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const filter = { status: req.query.status || 'open', ...page.filter };
+            if (req.query.targetType) {
+                filter.targetType = req.query.targetType;
+            }
+            if (req.query.mine === 'true') {
+                filter.assignedTo = req.user.userId;
+            }
+
+            const reports = await Report.find(filter)
+                .populate('reporterId', USER_FIELDS)
+                .populate('targetOwnerId', USER_FIELDS)
+                .populate('assignedTo', USER_FIELDS)
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            res.json(buildPage(reports, page.limit));
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/moderation/reports/{id}:
+ *   get:
+ *     summary: Get a report with the reported content
+ *     description: >
+ *       The target is returned even when hidden. relatedReports counts other
+ *       unresolved reports on the same target.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Report with target and relatedReports }
+ *       404: { description: Report not found }
+ */
+router.get(
+    '/reports/:id',
+    authenticate,
+    authorize('moderator'),
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const report = await Report.findById(req.params.id)
+                .populate('reporterId', USER_FIELDS)
+                .populate('targetOwnerId', USER_FIELDS)
+                .populate('assignedTo', USER_FIELDS)
+                .populate('resolvedBy', USER_FIELDS);
+            if (!report) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+
+            const [target, relatedReports] = await Promise.all([
+                loadTarget(report.targetType, report.targetId),
+                Report.countDocuments({
+                    targetType: report.targetType,
+                    targetId: report.targetId,
+                    _id: { $ne: report._id },
+                    ...OPEN,
+                }),
+            ]);
+            res.json({ ...report.toObject(), target: target?.doc || null, relatedReports });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/moderation/reports/{id}/claim:
+ *   post:
+ *     summary: Claim an open report so other moderators don't work on it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Report claimed }
+ *       403: { description: The report is about your own account or content }
+ *       404: { description: Report not found }
+ *       409: { description: Report already claimed or closed }
+ */
+router.post(
+    '/reports/:id/claim',
+    authenticate,
+    authorize('moderator'),
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            // Conditional update so two moderators can't claim the same report, and nobody
+            // handles reports about themselves
+            const report = await Report.findOneAndUpdate(
+                { _id: req.params.id, status: 'open', targetOwnerId: { $ne: userId } },
+                { status: 'in_review', assignedTo: userId, claimedAt: new Date() },
+                { new: true }
+            );
+            if (!report) {
+                const existing = await Report.findById(req.params.id).select('targetOwnerId');
+                if (!existing) {
+                    return res.status(404).json({ error: 'Report not found' });
+                }
+                return existing.targetOwnerId?.equals(userId)
+                    ? res.status(403).json({ error: 'Cannot handle reports about yourself' })
+                    : res.status(409).json({ error: 'Report already claimed or closed' });
+            }
+            await logAction(userId, 'claim', report);
+            res.json(report);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/moderation/reports/{id}/release:
+ *   post:
+ *     summary: Return a report you claimed to the queue
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Report back in the queue }
+ *       404: { description: No report of yours in review with this id }
+ */
+router.post(
+    '/reports/:id/release',
+    authenticate,
+    authorize('moderator'),
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const report = await Report.findOneAndUpdate(
+                { _id: req.params.id, status: 'in_review', assignedTo: userId },
+                { status: 'open', $unset: { assignedTo: 1, claimedAt: 1 } },
+                { new: true }
+            );
+            if (!report) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+            await logAction(userId, 'release', report);
+            res.json(report);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/moderation/reports/{id}/resolve:
+ *   post:
+ *     summary: Resolve a report you claimed
+ *     description: >
+ *       Applies the takedown actions, then closes this report and every other
+ *       unresolved report on the same target. No actions dismisses the reports.
+ *       Each reporter is notified. The note is shown to the author with a
+ *       warning and stored as the suspension reason.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               actions:
+ *                 type: array
+ *                 items: { type: string, enum: [hide, delete_media, warn, suspend] }
+ *               note: { type: string }
+ *               suspendDays: { type: integer, minimum: 1, maximum: 365 }
+ *     responses:
+ *       200: { description: Report resolved or dismissed }
+ *       400: { description: Action not available for this kind of report }
+ *       403:
+ *         description: >
+ *           Warning or suspension of an owner whose role is the same as yours or higher
+ *       404: { description: No report of yours in review with this id }
+ */
+router.post(
+    '/reports/:id/resolve',
+    authenticate,
+    authorize('moderator'),
+    [
+        param('id').isMongoId(),
+        body('actions').optional().isArray(),
+        body('actions.*').isIn(['hide', 'delete_media', 'warn', 'suspend']),
+        body('note').optional().trim().isLength({ max: 1000 }),
+        body('suspendDays').optional().isInt({ min: 1, max: MAX_SUSPEND_DAYS }).toInt(),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { note, suspendDays } = req.body;
+            const actions = [...new Set(req.body.actions || [])];
+
+            const report = await Report.findOne({
+                _id: req.params.id,
+                status: 'in_review',
+                assignedTo: userId,
+            });
+            if (!report) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+            if (actions.some(action => !TARGET_ACTIONS[report.targetType].includes(action))) {
+                return res
+                    .status(400)
+                    .json({ error: `Invalid action for a ${report.targetType} report` });
+            }
+            if (actions.includes('suspend') && !suspendDays) {
+                return res.status(400).json({ error: 'suspendDays is required to suspend' });
+            }
+            if (
+                actions.some(action => OWNER_ACTIONS.includes(action)) &&
+                !(await canActOnOwner(req.user.role, report.targetOwnerId))
+            ) {
+                return res
+                    .status(403)
+                    .json({ error: 'Cannot warn or suspend a user with your role or higher' });
+            }
+
+            for (const action of actions) {
+                await applyAction(action, report, { moderatorId: userId, note, suspendDays });
+            }
+
+            const status = actions.length ? 'resolved' : 'dismissed';
+            const related = await Report.find({
+                targetType: report.targetType,
+                targetId: report.targetId,
+                ...OPEN,
+            }).select('reporterId');
+            await Report.updateMany(
+                { _id: { $in: related.map(r => r._id) } },
+                {
+                    status,
+                    actions,
+                    resolutionNote: note,
+                    resolvedBy: userId,
+                    resolvedAt: new Date(),
+                }
+            );
+            await logAction(userId, actions.length ? 'resolve' : 'dismiss', report, note);
+            await Promise.all(
+                related.map(r =>
+                    notify({ userId: r.reporterId, type: 'report_resolved', reportId: r._id })
+                )
+            );
+
+            res.json(await Report.findById(report._id));
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/moderation/content/{targetType}/{targetId}/unhide:
+ *   post:
+ *     summary: Show hidden content again
+ *     description: >
+ *       Reverses a hide, e.g. one applied by mistake. Content whose media was
+ *       deleted stays hidden. The note is kept in the audit log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetType
+ *         required: true
+ *         schema: { type: string, enum: [post, comment, story] }
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *     responses:
+ *       200: { description: The unhidden content }
+ *       400: { description: The content isn't hidden or its media was deleted }
+ *       404: { description: Content not found }
+ */
+router.post(
+    '/content/:targetType/:targetId/unhide',
+    authenticate,
+    authorize('moderator'),
+    [
+        param('targetType').isIn(['post', 'comment', 'story']),
+        param('targetId').isMongoId(),
+        body('note').optional().trim().isLength({ max: 1000 }),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { targetType, targetId } = req.params;
+            const target = await loadTarget(targetType, targetId);
+            if (!target) {
+                return res.status(404).json({ error: 'Content not found' });
+            }
+            const { doc, ownerId } = target;
+            if (!doc.hiddenAt) {
+                return res.status(400).json({ error: 'Content is not hidden' });
+            }
+            if (doc.mediaRemovedAt) {
+                return res.status(400).json({ error: 'Content without its media stays hidden' });
+            }
+
+            doc.hiddenAt = null;
+            await doc.save();
+            await logAction(
+                req.user.userId,
+                'unhide',
+                { targetType, targetId: doc._id, targetOwnerId: ownerId },
+                req.body.note
+            );
+            res.json(doc);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/moderation/actions:
+ *   get:
+ *     summary: Audit log of moderation actions, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moderatorId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: targetId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: reportId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of actions with items and nextCursor }
+ */
+router.get(
+    '/actions',
+    authenticate,
+    authorize('moderator'),
+    [
+        query('moderatorId').optional().isMongoId(),
+        query('targetId').optional().isMongoId(),
+        query('reportId').optional().isMongoId(),
+        ...cursorValidators,
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const page = getPageParams(req);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const filter = { ...page.filter };
+            ['moderatorId', 'targetId', 'reportId'].forEach(field => {
+                if (req.query[field]) {
+                    filter[field] = req.query[field];
+                }
+            });
+
+            const entries = await ModerationAction.find(filter)
+                .populate('moderatorId', USER_FIELDS)
+                .populate('targetOwnerId', USER_FIELDS)
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            res.json(buildPage(entries, page.limit));
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+module.exports = router;
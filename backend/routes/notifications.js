@@ -1,6 +1,10 @@
 const express = require('express');
+const { param, query, validationResult } = require('express-validator');
 const authenticate = require('../middleware/auth');
 const Notification = require('../models/Notification');
+const { cursorValidators, getPageParams, buildPage } = require('../utils/pagination');
+const { getBlockedIds } = require('../utils/privacy');
+const { openStream } = require('../utils/realtime');
 const router = express.Router();
 
 /**
@@ -8,22 +12,224 @@ const router = express.Router();
  * /api/notifications:
  *   get:
  *     summary: Get user notifications
+ *     description: >
+ *       Likes, comments, comment likes and story views on the same target are grouped;
+ *       each item carries `recentActorIds` and the total `actorCount`. Sorted by
+ *       lastActivityAt, which moves forward when a group gets a new actor.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema: { type: string }
+ *         description: Only return notifications of this type
+ *       - in: query
+ *         name: unread
+ *         schema: { type: boolean }
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
  *     responses:
- *       200: { description: User notifications }
+ *       200: { description: Page of notifications with items and nextCursor }
  */
-router.get('/', authenticate, async (req, res) => {
+router.get(
+    '/',
+    authenticate,
+    [
+        query('type').optional().isIn(Notification.schema.path('type').enumValues),
+        query('unread').optional().isBoolean(),
+        ...cursorValidators,
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const page = getPageParams(req, 'lastActivityAt');
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const blockedIds = await getBlockedIds(userId);
+            const filter = { userId, fromUserId: { $nin: blockedIds }, ...page.filter };
+            if (req.query.type) {
+                filter.type = req.query.type;
+            }
+            if (req.query.unread === 'true') {
+                filter.readAt = null;
+            }
+
+            const notifications = await Notification.find(filter)
+                .populate('fromUserId', 'username profilePicture')
+                .populate('recentActorIds', 'username profilePicture')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            res.json(buildPage(notifications, page.limit, 'lastActivityAt'));
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Unread notification count }
+ */
+router.get('/unread-count', authenticate, async (req, res) => {
     try {
         const { userId } = req.user;
-        const notifications = await Notification.find({ userId })
-            .populate('fromUserId', 'username profilePicture')
-            .sort({ createdAt: -1 })
-            .limit(20);
-        res.json(notifications);
+        const blockedIds = await getBlockedIds(userId);
+        const count = await Notification.countDocuments({
+            userId,
+            fromUserId: { $nin: blockedIds },
+            readAt: null,
+        });
+        res.json({ count });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Notifications marked as read }
+ */
+router.post('/read-all', authenticate, async (req, res) => {
+    try {
+        await Notification.updateMany(
+            { userId: req.user.userId, readAt: null },
+            { readAt: new Date() }
+        );
+        res.json({ message: 'Notifications marked as read' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// EventSource can't send headers, so the stream also accepts the access token as ?token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+/**
+ * @swagger
+ * /api/notifications/stream:
+ *   get:
+ *     summary: Stream new notifications as Server-Sent Events
+ *     description: >
+ *       Emits a `notification` event for each new notification. Pass the access token
+ *       in the Authorization header or as `?token=`. Sends `session_revoked` and closes
+ *       when the session is logged out or the account is suspended or banned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: text/event-stream of notifications }
+ */
+router.get('/stream', tokenFromQuery, authenticate, (req, res) => {
+    openStream(req, res, req.user.userId, req.user.sessionId);
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Notification marked as read }
+ *       404: { description: Notification not found }
+ */
+router.post('/:id/read', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const notification = await Notification.findOne({
+            _id: req.params.id,
+            userId: req.user.userId,
+        });
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        res.json(notification);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Dismiss a notification
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Notification deleted }
+ *       404: { description: Notification not found }
+ */
+router.delete('/:id', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const result = await Notification.deleteOne({
+            _id: req.params.id,
+            userId: req.user.userId,
+        });
+        if (!result.deletedCount) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        res.json({ message: 'Notification deleted' });
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
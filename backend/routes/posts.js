@@ -1,19 +1,89 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authenticate = require('../middleware/auth');
+const optionalAuthenticate = require('../middleware/optionalAuth');
 const Post = require('../models/Post');
-const Notification = require('../models/Notification');
-const Follow = require('../models/Follow');
-const cloudinary = require('cloudinary').v2;
+const PostRevision = require('../models/PostRevision');
+const User = require('../models/User');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { getExplorePage } = require('../utils/explore');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    cursorValidators,
+    getPageParams,
+    buildPage,
+} = require('../utils/pagination');
+const {
+    canViewContent,
+    getFollowedIds,
+    getFeedExcludedIds,
+    filterVisible,
+    getBlockedIds,
+} = require('../utils/privacy');
+const { uploadAll, destroyAll } = require('../utils/media');
+const { deletePost } = require('../utils/cascade');
+const { checkPublishAt, announceLease, announceClaimed } = require('../utils/publishing');
+const {
+    collectHashtags,
+    syncHashtagCounts,
+    getFollowedHashtags,
+} = require('../utils/hashtags');
 const multer = require('multer');
 const upload = multer({ limits: { fileSize: 100 * 1024 * 1024 } }); // 100MB limit
 const router = express.Router();
 
+const MAX_MEDIA = 10;
+const MAX_TAGS = 20;
+
+// Parse people tags from the multipart `tags` field (a JSON array of { userId, mediaIndex, x, y }).
+// Returns null when they're malformed; tags on missing or blocked users are dropped.
+const parseTags = async (raw, mediaCount, authorId) => {
+    if (!raw) {
+        return [];
+    }
+    let tags;
+    try {
+        tags = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        return null;
+    }
+    const valid =
+        Array.isArray(tags) &&
+        tags.length <= MAX_TAGS &&
+        tags.every(
+            tag =>
+                /^[a-f\d]{24}$/i.test(tag?.userId) &&
+                Number.isInteger(tag.mediaIndex ?? 0) &&
+                (tag.mediaIndex ?? 0) >= 0 &&
+                (tag.mediaIndex ?? 0) < mediaCount &&
+                [tag.x, tag.y].every(n => typeof n === 'number' && n >= 0 && n <= 1)
+        );
+    if (!valid) {
+        return null;
+    }
+
+    const userIds = [...new Set(tags.map(tag => tag.userId))];
+    const [users, blockedIds] = await Promise.all([
+        User.find({ _id: { $in: userIds } }).select('_id'),
+        getBlockedIds(authorId),
+    ]);
+    const allowed = new Set(users.map(u => u._id.toString()));
+    blockedIds.forEach(id => allowed.delete(id.toString()));
+    return tags
+        .filter(tag => allowed.has(tag.userId))
+        .map(({ userId, mediaIndex = 0, x, y }) => ({ userId, mediaIndex, x, y }));
+};
+
 /**
  * @swagger
  * /api/posts:
  *   post:
- *     summary: Create a post
+ *     summary: Create a post with one media file or a carousel of up to 10
+ *     description: >
+ *       Media are shown in upload order; altTexts[i] describes media[i]. Hashtags written
+ *       as #tags in the caption are added to `hashtags` automatically. With a future
+ *       publishAt the post stays hidden, and mentions and tags aren't notified, until then.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -22,17 +92,29 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             properties:
- *               media: { type: string, format: binary }
+ *               media: { type: array, items: { type: string, format: binary }, maxItems: 10 }
+ *               altTexts: { type: array, items: { type: string } }
  *               caption: { type: string }
  *               hashtags: { type: array, items: { type: string } }
+ *               tags:
+ *                 type: string
+ *                 description: >
+ *                   JSON array of people tags, each { userId, mediaIndex, x, y } with x and y
+ *                   given as fractions (0 to 1) of the media's width and height
+ *               publishAt: { type: string, format: date-time }
  *     responses:
- *       201: { description: Post created }
+ *       201: { description: Post created or scheduled }
  */
 router.post(
     '/',
     authenticate,
-    upload.single('media'),
-    [body('caption').optional().trim(), body('hashtags').optional().isArray()],
+    upload.array('media', MAX_MEDIA),
+    [
+        body('caption').optional().trim(),
+        body('hashtags').optional().isArray(),
+        body('altTexts').optional(),
+        body('publishAt').optional().isISO8601().bail().custom(checkPublishAt),
+    ],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -41,27 +123,53 @@ router.post(
 
         try {
             const { userId } = req.user;
-            const { caption, hashtags } = req.body;
+            const { caption, hashtags, publishAt } = req.body;
 
-            if (!req.file) {
+            if (!req.files?.length) {
                 return res.status(400).json({ error: 'No file uploaded' });
             }
+            // A single altTexts field arrives as a string rather than an array
+            const altTexts = [].concat(req.body.altTexts || []);
+            const tags = await parseTags(req.body.tags, req.files.length, userId);
+            if (!tags) {
+                return res.status(400).json({ error: 'Invalid tags' });
+            }
+            const mentionIds = await resolveMentions(caption);
 
-            const result = await cloudinary.uploader.upload(req.file.path, {
+            const media = await uploadAll(req.files, {
                 folder: `posts/${userId}`,
-                resource_type: 'auto', // Handles images and videos
-                allowed_formats: ['jpg', 'png', 'mp4'],
-                transformation: [{ width: 1000, height: 1000, crop: 'limit' }],
+                allowedFormats: ['jpg', 'png', 'mp4'],
+                maxWidth: 1000,
+                maxHeight: 1000,
+            });
+            media.forEach((item, i) => {
+                item.altText = altTexts[i];
             });
 
             const post = new Post({
                 userId,
-                mediaUrl: result.secure_url,
-                mediaId: result.public_id,
+                media,
+                mediaUrl: media[0].url,
+                mediaId: media[0].mediaId,
                 caption,
-                hashtags,
+                hashtags: collectHashtags(caption, hashtags),
+                mentionIds,
+                tags,
+                publishAt,
+                // Announcing happens after the save, so a failure there leaves the post for the
+                // publisher to retry instead of failing a request whose post already exists
+                announceRetryAt: publishAt ? undefined : announceLease(),
             });
-            await post.save();
+            try {
+                await post.save();
+            } catch (error) {
+                await destroyAll(media);
+                throw error;
+            }
+            // Scheduled posts are announced by the publisher
+            if (!post.publishAt) {
+                await announceClaimed(post);
+            }
 
             res.status(201).json(post);
         } catch (error) {
@@ -70,11 +178,219 @@ router.post(
     }
 );
 
+/**
+ * @swagger
+ * /api/posts/feed:
+ *   get:
+ *     summary: Get posts feed
+ *     description: Posts from followed users and from followed hashtags, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of posts with items and nextCursor }
+ */
+router.get(
+    '/feed',
+    authenticate,
+    cursorValidators,
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const page = getPageParams(req);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const [followedIds, excludedIds, followedTags] = await Promise.all([
+                getFollowedIds(userId),
+                getFeedExcludedIds(userId),
+                getFollowedHashtags(userId),
+            ]);
+
+            const posts = await Post.find({
+                $and: [
+                    {
+                        $or: [
+                            { userId: { $in: followedIds } },
+                            { hashtags: { $in: followedTags } },
+                        ],
+                    },
+                    { userId: { $nin: excludedIds } },
+                    page.filter,
+                ],
+            })
+                .populate('userId', 'username profilePicture')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+
+            // Hashtag posts can come from private accounts the user doesn't follow
+            const { items, nextCursor } = buildPage(posts, page.limit);
+            const visible = await filterVisible(userId, items, post => post.userId._id);
+            res.json({ items: visible, nextCursor });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/posts/explore:
+ *   get:
+ *     summary: Get ranked recent posts from accounts you don't follow
+ *     description: >
+ *       Public posts ranked by likes, comments, recency, likes from people you follow and
+ *       overlap with hashtags you've liked. The ranking is cached for a few minutes so
+ *       pages stay consistent; a cursor used after that continues at its position in a
+ *       fresh ranking.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of posts with items and nextCursor }
+ */
+router.get('/explore', authenticate, cursorValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+        const page = await getExplorePage(req.user.userId, req.query.cursor, limit);
+        if (!page) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        res.json(page);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/scheduled:
+ *   get:
+ *     summary: List your scheduled posts, soonest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of scheduled posts with items and nextCursor }
+ */
+router.get('/scheduled', authenticate, cursorValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const page = getPageParams(req, 'publishAt', 1);
+        if (!page) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        const posts = await Post.find({
+            userId: req.user.userId,
+            publishAt: { $ne: null },
+            ...page.filter,
+        })
+            .setOptions({ includeScheduled: true })
+            .sort(page.sort)
+            .limit(page.limit + 1);
+        res.json(buildPage(posts, page.limit, 'publishAt'));
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/tagged/{userId}:
+ *   get:
+ *     summary: Get posts a user is tagged in
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of posts with items and nextCursor }
+ *       403: { description: Account is private }
+ */
+router.get(
+    '/tagged/:userId',
+    optionalAuthenticate,
+    [param('userId').isMongoId(), ...cursorValidators],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.params;
+            const viewerId = req.user?.userId;
+            if (!(await canViewContent(viewerId, userId))) {
+                return res.status(403).json({ error: 'This account is private' });
+            }
+
+            const page = getPageParams(req);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            const posts = await Post.find({ 'tags.userId': userId, ...page.filter })
+                .populate('userId', 'username profilePicture')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            const { items, nextCursor } = buildPage(posts, page.limit);
+            const visible = await filterVisible(viewerId, items, post => post.userId._id);
+            res.json({ items: visible, nextCursor });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
 /**
  * @swagger
  * /api/posts/{id}:
  *   get:
  *     summary: Get a post
+ *     description: Posts from private accounts are only visible to approved followers.
  *     parameters:
  *       - in: path
  *         name: id
@@ -82,14 +398,18 @@ router.post(
  *         schema: { type: string }
  *     responses:
  *       200: { description: Post details }
+ *       403: { description: Account is private }
  *       404: { description: Post not found }
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticate, async (req, res) => {
     try {
         const post = await Post.findById(req.params.id).populate('userId', 'username profilePicture');
         if (!post) {
             return res.status(404).json({ error: 'Post not found' });
         }
+        if (!(await canViewContent(req.user?.userId, post.userId._id))) {
+            return res.status(403).json({ error: 'This account is private' });
+        }
         res.json(post);
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
@@ -98,25 +418,93 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @swagger
- * /api/posts/feed:
+ * /api/posts/user/{userId}:
  *   get:
- *     summary: Get posts feed
- *     security:
- *       - bearerAuth: []
+ *     summary: Get a user's posts for their profile
+ *     description: Posts from private accounts are only visible to approved followers.
  *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string }
  *       - in: query
- *         name: page
- *         schema: { type: integer, default: 1 }
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
  *       - in: query
  *         name: limit
- *         schema: { type: integer, default: 20 }
+ *         schema: { type: integer, default: 20, maximum: 50 }
  *     responses:
- *       200: { description: Posts feed }
+ *       200: { description: Page of the user's posts with items and nextCursor }
+ *       403: { description: Account is private }
  */
 router.get(
-    '/feed',
+    '/user/:userId',
+    optionalAuthenticate,
+    [param('userId').isMongoId(), ...cursorValidators],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.params;
+            if (!(await canViewContent(req.user?.userId, userId))) {
+                return res.status(403).json({ error: 'This account is private' });
+            }
+
+            const page = getPageParams(req);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            const posts = await Post.find({ userId, ...page.filter })
+                .populate('userId', 'username profilePicture')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+
+            res.json(buildPage(posts, page.limit));
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}:
+ *   put:
+ *     summary: Edit a post's caption, hashtags or alt text
+ *     description: The previous values are kept as a revision.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption: { type: string }
+ *               hashtags: { type: array, items: { type: string } }
+ *               altTexts: { type: array, items: { type: string } }
+ *     responses:
+ *       200: { description: Post updated }
+ *       403: { description: Unauthorized }
+ */
+router.put(
+    '/:id',
     authenticate,
-    [query('page').optional().isInt({ min: 1 }), query('limit').optional().isInt({ min: 1 })],
+    [
+        param('id').isMongoId(),
+        body('caption').optional().isString().trim(),
+        body('hashtags').optional().isArray(),
+        body('altTexts').optional().isArray({ max: MAX_MEDIA }),
+    ],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -125,26 +513,233 @@ router.get(
 
         try {
             const { userId } = req.user;
-            const page = parseInt(req.query.page) || 1;
-            const limit = parseInt(req.query.limit) || 20;
-            const skip = (page - 1) * limit;
+            const { caption, hashtags, altTexts } = req.body;
 
-            const follows = await Follow.find({ followerId: userId }).select('followedId');
-            const followedIds = follows.map(f => f.followedId);
+            const post = await Post.findById(req.params.id);
+            if (!post) {
+                return res.status(404).json({ error: 'Post not found' });
+            }
+            if (post.userId.toString() !== userId) {
+                return res.status(403).json({ error: 'Unauthorized' });
+            }
+            if (caption === undefined && hashtags === undefined && altTexts === undefined) {
+                return res.status(400).json({ error: 'Nothing to update' });
+            }
 
-            const posts = await Post.find({ userId: { $in: followedIds } })
-                .populate('userId', 'username profilePicture')
-                .sort({ createdAt: -1 })
-                .skip(skip)
-                .limit(limit);
+            await PostRevision.create({
+                postId: post._id,
+                editorId: userId,
+                caption: post.caption,
+                hashtags: post.hashtags,
+                altTexts: post.media.map(item => item.altText || ''),
+            });
 
-            res.json(posts);
+            // Tags the client added explicitly survive a caption edit unless replaced
+            const previousTags = post.hashtags;
+            const captionTags = collectHashtags(post.caption);
+            const explicitTags = hashtags ?? previousTags.filter(tag => !captionTags.includes(tag));
+            const previousMentions = post.mentionIds;
+            if (caption !== undefined) {
+                post.caption = caption;
+                post.mentionIds = await resolveMentions(caption);
+            }
+            post.hashtags = collectHashtags(post.caption, explicitTags);
+            if (altTexts !== undefined) {
+                post.media.forEach((item, i) => {
+                    if (altTexts[i] !== undefined) {
+                        item.altText = altTexts[i];
+                    }
+                });
+            }
+            post.editedAt = new Date();
+            await post.save();
+            await syncHashtagCounts(previousTags, post.hashtags);
+            await notifyMentions({
+                mentionIds: post.mentionIds,
+                previousIds: previousMentions,
+                fromUserId: userId,
+                postId: post._id,
+            });
+
+            res.json(post);
         } catch (error) {
             res.status(500).json({ error: 'Server error' });
         }
     }
 );
 
+/**
+ * @swagger
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: List a post's edit history, newest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Previous versions of the post with editor and timestamp }
+ *       403: { description: Account is private }
+ *       404: { description: Post not found }
+ */
+router.get(
+    '/:id/revisions',
+    optionalAuthenticate,
+    [param('id').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const post = await Post.findById(req.params.id).select('userId');
+            if (!post) {
+                return res.status(404).json({ error: 'Post not found' });
+            }
+            if (!(await canViewContent(req.user?.userId, post.userId))) {
+                return res.status(403).json({ error: 'This account is private' });
+            }
+
+            const revisions = await PostRevision.find({ postId: post._id })
+                .populate('editorId', 'username profilePicture')
+                .sort({ createdAt: -1 });
+            res.json(revisions);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/tags/me:
+ *   delete:
+ *     summary: Remove yourself from a post's people tags
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Tag removed }
+ *       404: { description: Post not found or you are not tagged }
+ */
+router.delete('/:id/tags/me', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const result = await Post.updateOne(
+            { _id: req.params.id, 'tags.userId': userId },
+            { $pull: { tags: { userId } } }
+        );
+        if (!result.modifiedCount) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        res.json({ message: 'Tag removed' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/{id}/schedule:
+ *   put:
+ *     summary: Move a scheduled post to another time
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt: { type: string, format: date-time }
+ *     responses:
+ *       200: { description: Post rescheduled }
+ *       404: { description: Scheduled post not found or already published }
+ */
+router.put(
+    '/:id/schedule',
+    authenticate,
+    [param('id').isMongoId(), body('publishAt').isISO8601().bail().custom(checkPublishAt)],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            // Matching on publishAt loses the race cleanly if the publisher got there first
+            const post = await Post.findOneAndUpdate(
+                { _id: req.params.id, userId: req.user.userId, publishAt: { $ne: null } },
+                { publishAt: req.body.publishAt },
+                { new: true }
+            ).setOptions({ includeScheduled: true });
+            if (!post) {
+                return res.status(404).json({ error: 'Scheduled post not found' });
+            }
+            res.json(post);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/schedule:
+ *   delete:
+ *     summary: Cancel a scheduled post
+ *     description: The post is deleted together with its media before it's ever published.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Scheduled post cancelled }
+ *       404: { description: Scheduled post not found or already published }
+ */
+router.delete('/:id/schedule', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        // Removing the post first means the publisher can no longer claim it
+        const post = await Post.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.user.userId,
+            publishAt: { $ne: null },
+        });
+        if (!post) {
+            return res.status(404).json({ error: 'Scheduled post not found' });
+        }
+        await deletePost(post);
+        res.json({ message: 'Scheduled post cancelled' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * @swagger
  * /api/posts/{id}:
@@ -171,8 +766,7 @@ router.delete('/:id', authenticate, async (req, res) => {
         if (post.userId.toString() !== userId) {
             return res.status(403).json({ error: 'Unauthorized' });
         }
-        await cloudinary.uploader.destroy(post.mediaId);
-        await post.remove();
+        await deletePost(post);
         res.json({ message: 'Post deleted' });
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
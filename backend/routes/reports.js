@@ -0,0 +1,179 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const { loadTarget } = require('../utils/moderation');
+const { canViewContent, canViewStory } = require('../utils/privacy');
+const router = express.Router();
+
+// Whether the reporter can see what they're reporting; hidden content counts as not found
+const CAN_REPORT = {
+    post: (userId, post) => !post.hiddenAt && canViewContent(userId, post.userId),
+    comment: async (userId, comment) => {
+        if (comment.hiddenAt) {
+            return false;
+        }
+        const post = await Post.findById(comment.postId).select('userId');
+        return !!post && canViewContent(userId, post.userId);
+    },
+    story: (userId, story) => !story.hiddenAt && canViewStory(userId, story),
+    user: () => true,
+};
+
+const reportValidators = [
+    param('id').isMongoId(),
+    body('reason').isIn(Report.schema.path('reason').enumValues),
+    body('details').optional().trim().isLength({ max: 1000 }),
+];
+
+const createReport = targetType => async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const { reason, details } = req.body;
+        const target = await loadTarget(targetType, req.params.id);
+        if (!target || !(await CAN_REPORT[targetType](userId, target.doc))) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        if (target.ownerId.toString() === userId) {
+            return res.status(400).json({ error: 'Cannot report yourself' });
+        }
+
+        const existing = await Report.findOne({
+            reporterId: userId,
+            targetType,
+            targetId: target.doc._id,
+            status: { $in: ['open', 'in_review'] },
+        });
+        if (existing) {
+            return res.status(400).json({ error: 'Already reported' });
+        }
+
+        const report = await Report.create({
+            reporterId: userId,
+            targetType,
+            targetId: target.doc._id,
+            targetOwnerId: target.ownerId,
+            reason,
+            details,
+        });
+        res.status(201).json(report);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+/**
+ * @swagger
+ * /api/reports/posts/{id}:
+ *   post:
+ *     summary: Report a post
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *               details: { type: string }
+ *     responses:
+ *       201: { description: Report submitted }
+ *       400: { description: Already reported or your own post }
+ *       404: { description: Post not found }
+ */
+router.post('/posts/:id', authenticate, reportValidators, createReport('post'));
+
+/**
+ * @swagger
+ * /api/reports/comments/{id}:
+ *   post:
+ *     summary: Report a comment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *               details: { type: string }
+ *     responses:
+ *       201: { description: Report submitted }
+ *       400: { description: Already reported or your own comment }
+ *       404: { description: Comment not found }
+ */
+router.post('/comments/:id', authenticate, reportValidators, createReport('comment'));
+
+/**
+ * @swagger
+ * /api/reports/stories/{id}:
+ *   post:
+ *     summary: Report a story
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *               details: { type: string }
+ *     responses:
+ *       201: { description: Report submitted }
+ *       400: { description: Already reported or your own story }
+ *       404: { description: Story not found }
+ */
+router.post('/stories/:id', authenticate, reportValidators, createReport('story'));
+
+/**
+ * @swagger
+ * /api/reports/users/{id}:
+ *   post:
+ *     summary: Report an account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string }
+ *               details: { type: string }
+ *     responses:
+ *       201: { description: Report submitted }
+ *       400: { description: Already reported or yourself }
+ *       404: { description: User not found }
+ */
+router.post('/users/:id', authenticate, reportValidators, createReport('user'));
+
+module.exports = router;
@@ -0,0 +1,456 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const Collection = require('../models/Collection');
+const SavedPost = require('../models/SavedPost');
+const Post = require('../models/Post');
+const { cursorValidators, getPageParams, buildPage } = require('../utils/pagination');
+const { canViewContent, filterVisible } = require('../utils/privacy');
+const router = express.Router();
+
+// Moderator-hidden and scheduled posts are loaded too, so they aren't mistaken for deleted ones
+const ALL = { includeHidden: true, includeScheduled: true };
+
+// Fetch a page of saved entries, dropping ones whose post was deleted or is no longer visible
+const listSaved = async (req, res, filter) => {
+    const { userId } = req.user;
+    const page = getPageParams(req);
+    if (!page) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const entries = await SavedPost.find({ userId, ...filter, ...page.filter })
+        .sort(page.sort)
+        .limit(page.limit + 1);
+    const { items, nextCursor } = buildPage(entries, page.limit);
+    const postIds = new Map(items.map(entry => [entry._id.toString(), entry.postId]));
+    await SavedPost.populate(items, {
+        path: 'postId',
+        options: ALL,
+        populate: { path: 'userId', select: 'username profilePicture' },
+    });
+
+    // A hide can be undone, so saves are only cleaned up once the post is really gone
+    for (const entry of items.filter(entry => !entry.postId)) {
+        if (!(await Post.exists({ _id: postIds.get(entry._id.toString()) }).setOptions(ALL))) {
+            await entry.deleteOne();
+        }
+    }
+    // The author's account can be gone even while the post still exists
+    const visible = await filterVisible(
+        userId,
+        items.filter(
+            entry => entry.postId?.userId && !entry.postId.hiddenAt && !entry.postId.publishAt
+        ),
+        entry => entry.postId.userId._id
+    );
+    res.json({ items: visible, nextCursor });
+};
+
+// Resolve an optional collectionId from the request body to one of the user's collections.
+// Sends a 404 and returns undefined if it doesn't exist.
+const resolveCollection = async (collectionId, userId, res) => {
+    if (!collectionId) {
+        return null;
+    }
+    const collection = await Collection.findOne({ _id: collectionId, userId });
+    if (!collection) {
+        res.status(404).json({ error: 'Collection not found' });
+        return undefined;
+    }
+    return collection._id;
+};
+
+/**
+ * @swagger
+ * /api/saved/collections:
+ *   get:
+ *     summary: List your collections
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Collections with their number of saved posts }
+ */
+router.get('/collections', authenticate, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const [collections, counts] = await Promise.all([
+            Collection.find({ userId }).sort({ createdAt: -1 }),
+            SavedPost.aggregate([
+                {
+                    $match: {
+                        userId: new mongoose.Types.ObjectId(userId),
+                        collectionId: { $ne: null },
+                    },
+                },
+                { $group: { _id: '$collectionId', count: { $sum: 1 } } },
+            ]),
+        ]);
+        const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+        res.json(
+            collections.map(collection => ({
+                ...collection.toObject(),
+                postCount: countById.get(collection._id.toString()) || 0,
+            }))
+        );
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/saved/collections:
+ *   post:
+ *     summary: Create a collection
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *     responses:
+ *       201: { description: Collection created }
+ *       400: { description: Name already used }
+ */
+router.post(
+    '/collections',
+    authenticate,
+    [body('name').trim().notEmpty().isLength({ max: 100 })],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { name } = req.body;
+            if (await Collection.exists({ userId, name })) {
+                return res.status(400).json({ error: 'Collection already exists' });
+            }
+            const collection = await Collection.create({ userId, name });
+            res.status(201).json(collection);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/saved/collections/{id}:
+ *   put:
+ *     summary: Rename a collection
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *     responses:
+ *       200: { description: Collection renamed }
+ *       404: { description: Collection not found }
+ */
+router.put(
+    '/collections/:id',
+    authenticate,
+    [param('id').isMongoId(), body('name').trim().notEmpty().isLength({ max: 100 })],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { name } = req.body;
+            if (await Collection.exists({ userId, name, _id: { $ne: req.params.id } })) {
+                return res.status(400).json({ error: 'Collection already exists' });
+            }
+            const collection = await Collection.findOneAndUpdate(
+                { _id: req.params.id, userId },
+                { name },
+                { new: true }
+            );
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+            res.json(collection);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/saved/collections/{id}:
+ *   delete:
+ *     summary: Delete a collection
+ *     description: Posts in it stay saved and move back to "All saved".
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Collection deleted }
+ *       404: { description: Collection not found }
+ */
+router.delete('/collections/:id', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const collection = await Collection.findOneAndDelete({ _id: req.params.id, userId });
+        if (!collection) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+        await SavedPost.updateMany(
+            { userId, collectionId: collection._id },
+            { collectionId: null }
+        );
+        res.json({ message: 'Collection deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/saved/collections/{id}/posts:
+ *   get:
+ *     summary: List the posts in a collection
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of saved entries with items and nextCursor }
+ *       404: { description: Collection not found }
+ */
+router.get(
+    '/collections/:id/posts',
+    authenticate,
+    [param('id').isMongoId(), ...cursorValidators],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const collection = await Collection.findOne({
+                _id: req.params.id,
+                userId: req.user.userId,
+            });
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+            await listSaved(req, res, { collectionId: collection._id });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/saved:
+ *   get:
+ *     summary: List all your saved posts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Page of saved entries with items and nextCursor }
+ */
+router.get('/', authenticate, cursorValidators, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await listSaved(req, res, {});
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/saved:
+ *   post:
+ *     summary: Save a post, optionally into a collection
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               postId: { type: string }
+ *               collectionId: { type: string }
+ *     responses:
+ *       201: { description: Post saved }
+ *       400: { description: Already saved }
+ */
+router.post(
+    '/',
+    authenticate,
+    [body('postId').isMongoId(), body('collectionId').optional({ values: 'null' }).isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const { postId } = req.body;
+
+            const post = await Post.findById(postId).select('userId');
+            if (!post) {
+                return res.status(404).json({ error: 'Post not found' });
+            }
+            if (!(await canViewContent(userId, post.userId))) {
+                return res.status(403).json({ error: 'Unauthorized' });
+            }
+            const collectionId = await resolveCollection(req.body.collectionId, userId, res);
+            if (collectionId === undefined) {
+                return;
+            }
+            if (await SavedPost.exists({ userId, postId })) {
+                return res.status(400).json({ error: 'Already saved' });
+            }
+
+            const saved = await SavedPost.create({ userId, postId, collectionId });
+            res.status(201).json(saved);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/saved/{postId}:
+ *   put:
+ *     summary: Move a saved post to another collection
+ *     description: Pass a null collectionId to move it back to "All saved" only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               collectionId: { type: string, nullable: true }
+ *     responses:
+ *       200: { description: Saved post moved }
+ *       404: { description: Saved post or collection not found }
+ */
+router.put(
+    '/:postId',
+    authenticate,
+    [param('postId').isMongoId(), body('collectionId').optional({ values: 'null' }).isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const collectionId = await resolveCollection(req.body.collectionId, userId, res);
+            if (collectionId === undefined) {
+                return;
+            }
+            const saved = await SavedPost.findOneAndUpdate(
+                { userId, postId: req.params.postId },
+                { collectionId },
+                { new: true }
+            );
+            if (!saved) {
+                return res.status(404).json({ error: 'Saved post not found' });
+            }
+            res.json(saved);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/saved/{postId}:
+ *   delete:
+ *     summary: Unsave a post
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Post unsaved }
+ */
+router.delete('/:postId', authenticate, [param('postId').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        await SavedPost.deleteOne({ userId: req.user.userId, postId: req.params.postId });
+        res.json({ message: 'Post unsaved' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,25 +1,127 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { query, validationResult } = require('express-validator');
+const authenticate = require('../middleware/auth');
+const optionalAuthenticate = require('../middleware/optionalAuth');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    cursorValidators,
+    getPageParams,
+    buildPage,
+} = require('../utils/pagination');
+const { filterVisible, getBlockedIds, getSuspendedIds } = require('../utils/privacy');
+const { getSuggestions } = require('../utils/suggestions');
+const { SEARCH_TYPES, searchSection } = require('../utils/search');
+const { normalizeTag } = require('../utils/hashtags');
+const { escapeRegex } = require('../utils/regex');
 const router = express.Router();
 
+const SECTION_LIMIT = 5;
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search users, posts and hashtags
+ *     description: >
+ *       Returns ranked results in a section per type, each with items and
+ *       nextCursor. Users match by username prefix or by words in their username
+ *       or bio; posts by words in the caption; hashtags by prefix. A leading @
+ *       searches only users and a leading # only hashtags. Without a type each
+ *       section holds its first few results; pass a type with that section's
+ *       nextCursor to page through it.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [all, users, posts, hashtags], default: all }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor of the requested section; requires a type
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, maximum: 50 }
+ *         description: Results per section, 5 by default without a type and 20 with one
+ *     responses:
+ *       200: { description: Sections keyed by type }
+ *       400: { description: Invalid query or cursor }
+ */
+router.get(
+    '/',
+    optionalAuthenticate,
+    [
+        query('q').isString().trim().notEmpty().isLength({ max: 100 }),
+        query('type')
+            .optional()
+            .isIn(['all', ...SEARCH_TYPES]),
+        ...cursorValidators,
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { q, cursor } = req.query;
+            let type = req.query.type || 'all';
+            if (type === 'all' && q.startsWith('@')) {
+                type = 'users';
+            } else if (type === 'all' && q.startsWith('#')) {
+                type = 'hashtags';
+            }
+            if (type === 'all' && cursor) {
+                return res.status(400).json({ error: 'A cursor requires a type' });
+            }
+
+            const types = type === 'all' ? SEARCH_TYPES : [type];
+            const defaultLimit = type === 'all' ? SECTION_LIMIT : DEFAULT_LIMIT;
+            const limit = Math.min(parseInt(req.query.limit) || defaultLimit, MAX_LIMIT);
+            const sections = await Promise.all(
+                types.map(t => searchSection(t, q, req.user?.userId, { cursor, limit }))
+            );
+            if (sections.includes(null)) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            res.json(Object.fromEntries(types.map((t, i) => [t, sections[i]])));
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
 /**
  * @swagger
  * /api/search/users:
  *   get:
- *     summary: Search users
+ *     summary: Search users by username prefix
+ *     description: Superseded by GET /api/search with type=users.
+ *     deprecated: true
  *     parameters:
  *       - in: query
  *         name: q
  *         required: true
  *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
  *     responses:
- *       200: { description: Matching users }
+ *       200: { description: Page of matching users with items and nextCursor }
  */
 router.get(
     '/users',
-    [query('q').notEmpty().trim()],
+    optionalAuthenticate,
+    [query('q').isString().notEmpty().trim(), ...cursorValidators],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -28,12 +130,24 @@ router.get(
 
         try {
             const { q } = req.query;
+            const page = getPageParams(req, 'usernameLower', 1);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const [blockedIds, suspendedIds] = await Promise.all([
+                req.user ? getBlockedIds(req.user.userId) : [],
+                getSuspendedIds(),
+            ]);
             const users = await User.find({
-                username: { $regex: q, $options: 'i' },
+                _id: { $nin: [...blockedIds, ...suspendedIds] },
+                usernameLower: new RegExp(`^${escapeRegex(q.toLowerCase())}`),
+                ...page.filter,
             })
-                .select('username profilePicture')
-                .limit(10);
-            res.json(users);
+                .select('username usernameLower profilePicture')
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            res.json(buildPage(users, page.limit, 'usernameLower'));
         } catch (error) {
             res.status(500).json({ error: 'Server error' });
         }
@@ -44,18 +158,30 @@ router.get(
  * @swagger
  * /api/search/hashtags:
  *   get:
- *     summary: Search posts by hashtag
+ *     summary: Search posts by hashtag prefix
+ *     description: >
+ *       Posts from private accounts are only returned to approved followers.
+ *       Superseded by GET /api/search.
+ *     deprecated: true
  *     parameters:
  *       - in: query
  *         name: q
  *         required: true
  *         schema: { type: string }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
  *     responses:
- *       200: { description: Matching posts }
+ *       200: { description: Page of matching posts with items and nextCursor }
  */
 router.get(
     '/hashtags',
-    [query('q').notEmpty().trim()],
+    optionalAuthenticate,
+    [query('q').notEmpty().trim(), ...cursorValidators],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -64,16 +190,63 @@ router.get(
 
         try {
             const { q } = req.query;
+            const page = getPageParams(req);
+            if (!page) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
             const posts = await Post.find({
-                hashtags: { $regex: q, $options: 'i' },
+                hashtags: new RegExp(`^${escapeRegex(normalizeTag(q))}`),
+                ...page.filter,
             })
                 .populate('userId', 'username profilePicture')
-                .limit(10);
-            res.json(posts);
+                .sort(page.sort)
+                .limit(page.limit + 1);
+            // Cursor comes from the unfiltered page so hidden posts don't stall pagination
+            const { items, nextCursor } = buildPage(posts, page.limit);
+            const visible = await filterVisible(req.user?.userId, items, post => post.userId._id);
+            res.json({ items: visible, nextCursor });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/search/suggestions:
+ *   get:
+ *     summary: Get "people you may know" follow suggestions
+ *     description: >
+ *       Ranked by mutual follows, whether the account follows you and shared hashtag
+ *       interests. Each suggestion carries a short `reason` such as "Followed by alice and
+ *       3 others".
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200: { description: Suggested accounts with reasons }
+ */
+router.get(
+    '/suggestions',
+    authenticate,
+    [query('limit').optional().isInt({ min: 1, max: 50 })],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const limit = parseInt(req.query.limit) || 20;
+            res.json(await getSuggestions(req.user.userId, limit));
         } catch (error) {
             res.status(500).json({ error: 'Server error' });
         }
     }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,20 +1,37 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authenticate = require('../middleware/auth');
 const Story = require('../models/Story');
 const StoryView = require('../models/StoryView');
-const Notification = require('../models/Notification');
-const Follow = require('../models/Follow');
-const cloudinary = require('cloudinary').v2;
+const CloseFriend = require('../models/CloseFriend');
+const User = require('../models/User');
+const notify = require('../utils/notify');
+const {
+    canViewContent,
+    canViewStory,
+    getFollowedIds,
+    getFeedExcludedIds,
+    getBlockedIds,
+    isBlocked,
+    getStoryAudienceFilter,
+} = require('../utils/privacy');
+const { uploadFile } = require('../utils/media');
+const { deleteStory } = require('../utils/cascade');
+const { STORY_DURATION_MS, checkPublishAt } = require('../utils/publishing');
 const multer = require('multer');
 const upload = multer({ limits: { fileSize: 100 * 1024 * 1024 } }); // 100MB limit
 const router = express.Router();
 
+const AUDIENCES = ['everyone', 'followers', 'close_friends'];
+
 /**
  * @swagger
  * /api/stories:
  *   post:
  *     summary: Create a story
+ *     description: >
+ *       With a future publishAt the story stays hidden until then, and its 24 hours start
+ *       when it's published.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -25,14 +42,22 @@ const router = express.Router();
  *             properties:
  *               media: { type: string, format: binary }
  *               caption: { type: string }
+ *               audience:
+ *                 type: string
+ *                 enum: [everyone, followers, close_friends]
+ *               publishAt: { type: string, format: date-time }
  *     responses:
- *       201: { description: Story created }
+ *       201: { description: Story created or scheduled }
  */
 router.post(
     '/',
     authenticate,
     upload.single('media'),
-    [body('caption').optional().trim()],
+    [
+        body('caption').optional().trim(),
+        body('audience').optional().isIn(AUDIENCES),
+        body('publishAt').optional().isISO8601().bail().custom(checkPublishAt),
+    ],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -41,25 +66,30 @@ router.post(
 
         try {
             const { userId } = req.user;
-            const { caption } = req.body;
+            const { caption, audience, publishAt } = req.body;
 
             if (!req.file) {
                 return res.status(400).json({ error: 'No file uploaded' });
             }
 
-            const result = await cloudinary.uploader.upload(req.file.path, {
+            const media = await uploadFile(req.file, {
                 folder: `stories/${userId}`,
-                resource_type: 'auto',
-                allowed_formats: ['jpg', 'png', 'mp4'],
-                transformation: [{ width: 1000, height: 1000, crop: 'limit' }],
+                allowedFormats: ['jpg', 'png', 'mp4'],
+                maxWidth: 1000,
+                maxHeight: 1000,
             });
 
             const story = new Story({
                 userId,
-                mediaUrl: result.secure_url,
-                mediaId: result.public_id,
+                mediaUrl: media.url,
+                mediaId: media.mediaId,
+                mediaType: media.type,
                 caption,
-                expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+                audience,
+                publishAt,
+                expiresAt: new Date(
+                    (publishAt ? new Date(publishAt).getTime() : Date.now()) + STORY_DURATION_MS
+                ),
             });
             await story.save();
 
@@ -72,24 +102,30 @@ router.post(
 
 /**
  * @swagger
- * /api/stories/{userId}:
+ * /api/stories/feed:
  *   get:
- *     summary: Get user's active stories
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         schema: { type: string }
+ *     summary: Get stories feed
+ *     security:
+ *       - bearerAuth: []
  *     responses:
- *       200: { description: User's stories }
+ *       200: { description: Stories from followed users }
  */
-router.get('/:userId', authenticate, async (req, res) => {
+router.get('/feed', authenticate, async (req, res) => {
     try {
+        const { userId } = req.user;
+        const [followedIds, excludedIds, audienceFilter] = await Promise.all([
+            getFollowedIds(userId),
+            getFeedExcludedIds(userId),
+            getStoryAudienceFilter(userId),
+        ]);
+
         const stories = await Story.find({
-            userId: req.params.userId,
+            userId: { $in: followedIds, $nin: excludedIds },
             isActive: true,
             expiresAt: { $gt: new Date() },
+            ...audienceFilter,
         }).populate('userId', 'username profilePicture');
+
         res.json(stories);
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
@@ -98,26 +134,153 @@ router.get('/:userId', authenticate, async (req, res) => {
 
 /**
  * @swagger
- * /api/stories/feed:
+ * /api/stories/close-friends:
  *   get:
- *     summary: Get stories feed
+ *     summary: List your close friends
  *     security:
  *       - bearerAuth: []
  *     responses:
- *       200: { description: Stories from followed users }
+ *       200: { description: Users on your close-friends list }
  */
-router.get('/feed', authenticate, async (req, res) => {
+router.get('/close-friends', authenticate, async (req, res) => {
     try {
-        const { userId } = req.user;
-        const follows = await Follow.find({ followerId: userId }).select('followedId');
-        const followedIds = follows.map(f => f.followedId);
+        const entries = await CloseFriend.find({ userId: req.user.userId })
+            .populate('friendId', 'username profilePicture')
+            .sort({ createdAt: -1 });
+        res.json(entries.filter(entry => entry.friendId).map(entry => entry.friendId));
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
+/**
+ * @swagger
+ * /api/stories/scheduled:
+ *   get:
+ *     summary: List your scheduled stories, soonest first
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Stories waiting to be published }
+ */
+router.get('/scheduled', authenticate, async (req, res) => {
+    try {
+        const stories = await Story.find({ userId: req.user.userId, publishAt: { $ne: null } })
+            .setOptions({ includeScheduled: true })
+            .sort({ publishAt: 1 });
+        res.json(stories);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/stories/close-friends/{userId}:
+ *   post:
+ *     summary: Add a user to your close friends
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: User added }
+ *       400: { description: Cannot add yourself }
+ *       404: { description: User not found }
+ */
+router.post(
+    '/close-friends/:userId',
+    authenticate,
+    [param('userId').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId } = req.user;
+            const friendId = req.params.userId;
+            if (friendId === userId) {
+                return res.status(400).json({ error: 'Cannot add yourself' });
+            }
+            if (!(await User.exists({ _id: friendId })) || (await isBlocked(userId, friendId))) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            await CloseFriend.updateOne(
+                { userId, friendId },
+                { $setOnInsert: { userId, friendId } },
+                { upsert: true }
+            );
+            res.json({ message: 'Added to close friends' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/stories/close-friends/{userId}:
+ *   delete:
+ *     summary: Remove a user from your close friends
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: User removed }
+ */
+router.delete(
+    '/close-friends/:userId',
+    authenticate,
+    [param('userId').isMongoId()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            await CloseFriend.deleteOne({ userId: req.user.userId, friendId: req.params.userId });
+            res.json({ message: 'Removed from close friends' });
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/stories/{userId}:
+ *   get:
+ *     summary: Get user's active stories
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: User's stories }
+ *       403: { description: Account is private }
+ */
+router.get('/:userId', authenticate, async (req, res) => {
+    try {
+        if (!(await canViewContent(req.user.userId, req.params.userId))) {
+            return res.status(403).json({ error: 'This account is private' });
+        }
         const stories = await Story.find({
-            userId: { $in: followedIds },
+            userId: req.params.userId,
             isActive: true,
             expiresAt: { $gt: new Date() },
+            ...(await getStoryAudienceFilter(req.user.userId)),
         }).populate('userId', 'username profilePicture');
-
         res.json(stories);
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
@@ -138,6 +301,7 @@ router.get('/feed', authenticate, async (req, res) => {
  *         schema: { type: string }
  *     responses:
  *       200: { description: View recorded }
+ *       403: { description: Not in the story's audience }
  */
 router.post('/:id/view', authenticate, async (req, res) => {
     try {
@@ -146,14 +310,32 @@ router.post('/:id/view', authenticate, async (req, res) => {
         if (!story || !story.isActive || story.expiresAt < new Date()) {
             return res.status(404).json({ error: 'Story not found or expired' });
         }
+        if (!(await canViewStory(userId, story))) {
+            return res.status(403).json({ error: 'You cannot view this story' });
+        }
+        if (story.userId.toString() === userId) {
+            return res.json({ message: 'View recorded' });
+        }
 
-        await StoryView.create({ storyId: req.params.id, userId });
-        await Notification.create({
-            userId: story.userId,
-            type: 'story_view',
-            fromUserId: userId,
-            storyId: req.params.id,
-        });
+        // Only a viewer's first view notifies the owner
+        const now = new Date();
+        const previous = await StoryView.findOneAndUpdate(
+            { storyId: story._id, userId },
+            {
+                $inc: { viewCount: 1 },
+                $set: { viewedAt: now },
+                $setOnInsert: { firstViewedAt: now },
+            },
+            { upsert: true }
+        );
+        if (!previous) {
+            await notify({
+                userId: story.userId,
+                type: 'story_view',
+                fromUserId: userId,
+                storyId: req.params.id,
+            });
+        }
 
         res.json({ message: 'View recorded' });
     } catch (error) {
@@ -161,6 +343,223 @@ router.post('/:id/view', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/stories/{id}/viewers:
+ *   get:
+ *     summary: List who viewed your story
+ *     description: >
+ *       One entry per viewer with their number of views and first and last
+ *       view times, most recent first. Only the story's owner can see this.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Viewers with viewerCount and totalViews }
+ *       403: { description: Unauthorized }
+ *       404: { description: Story not found }
+ */
+router.get('/:id/viewers', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        const { userId } = req.user;
+        const story = await Story.findById(req.params.id);
+        if (!story) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+        if (story.userId.toString() !== userId) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        const blockedIds = await getBlockedIds(userId);
+        // Group by viewer so duplicate rows from before views were deduplicated count once
+        const viewers = await StoryView.aggregate([
+            { $match: { storyId: story._id, userId: { $nin: blockedIds } } },
+            {
+                $group: {
+                    _id: '$userId',
+                    viewCount: { $sum: { $ifNull: ['$viewCount', 1] } },
+                    firstViewedAt: { $min: { $ifNull: ['$firstViewedAt', '$viewedAt'] } },
+                    lastViewedAt: { $max: '$viewedAt' },
+                },
+            },
+            { $sort: { lastViewedAt: -1 } },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    localField: '_id',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { username: 1, profilePicture: 1 } }],
+                    as: 'user',
+                },
+            },
+            { $unwind: '$user' },
+            { $project: { _id: 0, user: 1, viewCount: 1, firstViewedAt: 1, lastViewedAt: 1 } },
+        ]);
+
+        res.json({
+            viewers,
+            viewerCount: viewers.length,
+            totalViews: viewers.reduce((sum, viewer) => sum + viewer.viewCount, 0),
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/stories/{id}/audience:
+ *   put:
+ *     summary: Change who can see your story
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               audience:
+ *                 type: string
+ *                 enum: [everyone, followers, close_friends]
+ *     responses:
+ *       200: { description: Audience updated }
+ *       403: { description: Unauthorized }
+ *       404: { description: Story not found }
+ */
+router.put(
+    '/:id/audience',
+    authenticate,
+    [param('id').isMongoId(), body('audience').isIn(AUDIENCES)],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const story = await Story.findById(req.params.id);
+            if (!story) {
+                return res.status(404).json({ error: 'Story not found' });
+            }
+            if (story.userId.toString() !== req.user.userId) {
+                return res.status(403).json({ error: 'Unauthorized' });
+            }
+            story.audience = req.body.audience;
+            await story.save();
+            res.json(story);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/stories/{id}/schedule:
+ *   put:
+ *     summary: Move a scheduled story to another time
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt: { type: string, format: date-time }
+ *     responses:
+ *       200: { description: Story rescheduled }
+ *       404: { description: Scheduled story not found or already published }
+ */
+router.put(
+    '/:id/schedule',
+    authenticate,
+    [param('id').isMongoId(), body('publishAt').isISO8601().bail().custom(checkPublishAt)],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const publishAt = new Date(req.body.publishAt);
+            // Matching on publishAt loses the race cleanly if the publisher got there first
+            const story = await Story.findOneAndUpdate(
+                { _id: req.params.id, userId: req.user.userId, publishAt: { $ne: null } },
+                { publishAt, expiresAt: new Date(publishAt.getTime() + STORY_DURATION_MS) },
+                { new: true }
+            ).setOptions({ includeScheduled: true });
+            if (!story) {
+                return res.status(404).json({ error: 'Scheduled story not found' });
+            }
+            res.json(story);
+        } catch (error) {
+            res.status(500).json({ error: 'Server error' });
+        }
+    }
+);
+
+/**
+ * @swagger
+ * /api/stories/{id}/schedule:
+ *   delete:
+ *     summary: Cancel a scheduled story
+ *     description: The story is deleted together with its media before it's ever published.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Scheduled story cancelled }
+ *       404: { description: Scheduled story not found or already published }
+ */
+router.delete('/:id/schedule', authenticate, [param('id').isMongoId()], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+        // Removing the story first means the publisher can no longer claim it
+        const story = await Story.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.user.userId,
+            publishAt: { $ne: null },
+        });
+        if (!story) {
+            return res.status(404).json({ error: 'Scheduled story not found' });
+        }
+        await deleteStory(story);
+        res.json({ message: 'Scheduled story cancelled' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * @swagger
  * /api/stories/{id}:
@@ -187,8 +586,7 @@ router.delete('/:id', authenticate, async (req, res) => {
         if (story.userId.toString() !== userId) {
             return res.status(403).json({ error: 'Unauthorized' });
         }
-        await cloudinary.uploader.destroy(story.mediaId);
-        await story.remove();
+        await deleteStory(story);
         res.json({ message: 'Story deleted' });
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
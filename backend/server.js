@@ -1,9 +1,10 @@
-const express = require('express');
 const dotenv = require('dotenv');
+dotenv.config(); // before the routes load, since some modules read settings at require time
+
+const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
-const cloudinary = require('cloudinary').v2;
 const cron = require('node-cron');
 const connectDB = require('./config/db');
 const swaggerUi = require('swagger-ui-express');
@@ -14,17 +15,24 @@ const storyRoutes = require('./routes/stories');
 const interactionRoutes = require('./routes/interactions');
 const searchRoutes = require('./routes/search');
 const notificationRoutes = require('./routes/notifications');
+const savedRoutes = require('./routes/saved');
+const messageRoutes = require('./routes/messages');
+const hashtagRoutes = require('./routes/hashtags');
+const highlightRoutes = require('./routes/highlights');
+const reportRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
+const accountRoutes = require('./routes/account');
 const Story = require('./models/Story');
+const Notification = require('./models/Notification');
+const User = require('./models/User');
+const { getStorage } = require('./utils/storage');
+const { refreshTrending } = require('./utils/hashtags');
+const { deleteAccount } = require('./utils/cascade');
+const { publishDue } = require('./utils/publishing');
 
-dotenv.config();
 const app = express();
-
-// Configure Cloudinary
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const storage = getStorage();
 
 // Middleware
 app.use(helmet());
@@ -33,6 +41,17 @@ app.use(express.json());
 app.use(rateLimit({ windowMs: 15 * 60 * 1000, max: 100 }));
 app.use('/api/doc', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Serve uploaded media when using local disk storage
+if (storage.name === 'local') {
+    app.use(
+        storage.route,
+        express.static(storage.root, {
+            // helmet defaults to same-origin, which would block the React app from loading media
+            setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+        })
+    );
+}
+
 // Root route for status check
 app.get('/', (req, res) => {
     res.json({ status: 'Backend is running', message: 'Welcome to the API' });
@@ -46,8 +65,16 @@ app.use('/api/stories', storyRoutes);
 app.use('/api/interactions', interactionRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved', savedRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/hashtags', hashtagRoutes);
+app.use('/api/highlights', highlightRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/account', accountRoutes);
 
-// Story expiration job
+// Story expiration job. Expired stories keep their media: highlights still reference them.
 cron.schedule('0 0 * * *', async () => {
     try {
         await Story.updateMany(
@@ -60,6 +87,71 @@ cron.schedule('0 0 * * *', async () => {
     }
 });
 
+// Scheduled content publisher. Items are claimed one at a time, so it's safe to run on
+// every instance.
+cron.schedule('* * * * *', async () => {
+    try {
+        const published = await publishDue();
+        if (published) {
+            console.log(`Published ${published} scheduled items`);
+        }
+    } catch (error) {
+        console.error('Error in scheduled publishing job:', error);
+    }
+});
+
+// Notification retention job
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+cron.schedule('30 0 * * *', async () => {
+    try {
+        const cutoff = new Date(Date.now() - NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const result = await Notification.deleteMany({ lastActivityAt: { $lt: cutoff } });
+        console.log(`Purged ${result.deletedCount} old notifications`);
+    } catch (error) {
+        console.error('Error in notification retention job:', error);
+    }
+});
+
+// Account deletion job. Each account is leased for an hour before it's deleted, so another
+// instance running the job at the same time skips it, and a failed deletion is retried later.
+cron.schedule('0 1 * * *', async () => {
+    let deleted = 0;
+    let failed = 0;
+    try {
+        for (;;) {
+            const now = new Date();
+            const user = await User.findOneAndUpdate(
+                { deletionScheduledFor: { $lte: now } },
+                { deletionScheduledFor: new Date(now.getTime() + 60 * 60 * 1000) }
+            );
+            if (!user) {
+                break;
+            }
+            // One failing account must not hold up the rest; its lease makes it retry later
+            try {
+                await deleteAccount(user._id);
+                deleted++;
+            } catch (error) {
+                failed++;
+                console.error(`Error deleting account ${user._id}:`, error);
+            }
+        }
+        console.log(`Deleted ${deleted} accounts, ${failed} failed`);
+    } catch (error) {
+        console.error('Error in account deletion job:', error);
+    }
+});
+
+// Trending hashtags job
+cron.schedule('*/15 * * * *', async () => {
+    try {
+        await refreshTrending();
+        console.log('Trending hashtags refreshed');
+    } catch (error) {
+        console.error('Error in trending hashtags job:', error);
+    }
+});
+
 // Error handling
 app.use((err, req, res, next) => {
     console.error(err.stack);
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { createArchive } = require('../utils/archive');
+
+const collect = stream =>
+    new Promise(resolve => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+
+describe('createArchive', () => {
+    test('writes a gzipped tar with each file in a padded block', async () => {
+        const output = new PassThrough();
+        const result = collect(output);
+        const archive = createArchive(output);
+
+        await archive.addFile('profile.json', '{"username":"alice"}');
+        await archive.finalize();
+
+        const tar = zlib.gunzipSync(await result);
+        expect(tar).toHaveLength(512 * 4);
+        expect(tar.toString('utf8', 0, 12)).toBe('profile.json');
+        expect(tar.toString('ascii', 257, 262)).toBe('ustar');
+        expect(tar.toString('utf8', 512, 532)).toBe('{"username":"alice"}');
+    });
+
+    test('fails pending and later writes once the output closes early', async () => {
+        // Nobody reads the output, so incompressible data soon has to wait for a drain
+        const output = new PassThrough();
+        const archive = createArchive(output);
+        const writing = archive.addFile('media/video.mp4', crypto.randomBytes(1024 * 1024));
+
+        output.destroy();
+
+        await expect(writing).rejects.toThrow('Archive output closed');
+        await expect(archive.addFile('more.json', '{}')).rejects.toThrow('Archive output closed');
+        await expect(archive.finalize()).rejects.toThrow('Archive output closed');
+    });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const SavedPost = require('../models/SavedPost');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const CommentLike = require('../models/CommentLike');
+const Hashtag = require('../models/Hashtag');
+const Notification = require('../models/Notification');
+const { deletePost, deleteComments } = require('../utils/cascade');
+const { destroyAllOrFail } = require('../utils/media');
+const { mockQuery } = require('./helpers/query');
+
+const mockStorage = { remove: jest.fn() };
+jest.mock('../utils/storage', () => ({ getStorage: () => mockStorage }));
+
+const id = () => new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+    mockStorage.remove.mockReset().mockResolvedValue();
+    [PostRevision, SavedPost, Like, Comment, CommentLike, Notification].forEach(Model =>
+        jest.spyOn(Model, 'deleteMany').mockResolvedValue({})
+    );
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Hashtag, 'updateMany').mockResolvedValue({});
+});
+
+describe('destroyAllOrFail', () => {
+    test('removes every item and then rejects with the first failure', async () => {
+        const failure = new Error('storage down');
+        mockStorage.remove.mockRejectedValueOnce(failure);
+
+        await expect(
+            destroyAllOrFail([{ mediaId: 'a' }, { mediaId: 'b', type: 'video' }])
+        ).rejects.toBe(failure);
+        expect(mockStorage.remove).toHaveBeenCalledWith('b', 'video');
+    });
+});
+
+describe('deletePost', () => {
+    const post = () => ({
+        _id: id(),
+        media: [
+            { mediaId: 'one', type: 'image' },
+            { mediaId: 'two', type: 'video' },
+        ],
+        mediaId: 'one',
+        hashtags: ['sun'],
+        deleteOne: jest.fn().mockResolvedValue(),
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Comment, 'find').mockReturnValue(mockQuery([]));
+    });
+
+    test('removes the media, the post and everything hanging off it', async () => {
+        const target = post();
+        await deletePost(target);
+
+        expect(mockStorage.remove.mock.calls).toEqual([
+            ['one', 'image'],
+            ['two', 'video'],
+        ]);
+        expect(target.deleteOne).toHaveBeenCalled();
+        [PostRevision, SavedPost, Like, Notification].forEach(Model =>
+            expect(Model.deleteMany).toHaveBeenCalledWith({ postId: target._id })
+        );
+        expect(Hashtag.updateMany).toHaveBeenCalledWith(
+            { name: { $in: ['sun'] } },
+            { $inc: { postCount: -1 } }
+        );
+    });
+
+    test('keeps the post for a retry when its media could not be removed', async () => {
+        const target = post();
+        mockStorage.remove.mockRejectedValueOnce(new Error('storage down'));
+
+        await expect(deletePost(target)).rejects.toThrow('storage down');
+        expect(target.deleteOne).not.toHaveBeenCalled();
+    });
+
+    test("doesn't uncount hashtags of a post that was never published", async () => {
+        await deletePost({ ...post(), publishAt: new Date() });
+        expect(Hashtag.updateMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('deleteComments', () => {
+    const postId = id();
+    const authorId = id();
+
+    const stubComments = ({ authorHasMore }) => {
+        const commentId = id();
+        jest.spyOn(Comment, 'find').mockImplementation(filter =>
+            mockQuery(filter.parentId ? [] : [{ _id: commentId, postId, userId: authorId }])
+        );
+        jest.spyOn(Comment, 'exists').mockReturnValue(
+            mockQuery(authorHasMore ? { _id: id() } : null)
+        );
+        return commentId;
+    };
+
+    test('keeps the grouped comment notification but drops the author from it', async () => {
+        const commentId = stubComments({ authorHasMore: false });
+        await deleteComments([commentId]);
+
+        expect(Notification.deleteMany).toHaveBeenCalledWith({
+            commentId: { $in: [commentId] },
+            type: { $ne: 'comment' },
+        });
+        expect(Notification.updateMany).toHaveBeenCalledWith(
+            { type: 'comment', postId, actorIds: authorId },
+            expect.any(Array)
+        );
+    });
+
+    test('leaves authors in the group while they have other comments on the post', async () => {
+        const commentId = stubComments({ authorHasMore: true });
+        await deleteComments([commentId]);
+
+        expect(Notification.updateMany).not.toHaveBeenCalledWith(
+            expect.objectContaining({ actorIds: authorId }),
+            expect.anything()
+        );
+    });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const User = require('../models/User');
+const { getExplorePage } = require('../utils/explore');
+const { mockQuery } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+const HOUR_MS = 60 * 60 * 1000;
+
+// Five public posts from strangers, newest first, with no likes or comments yet
+const posts = Array.from({ length: 5 }, (_, i) => ({
+    _id: id(),
+    userId: id(),
+    hashtags: [],
+    createdAt: new Date(Date.now() - (i + 1) * HOUR_MS),
+}));
+
+beforeEach(() => {
+    jest.spyOn(Post, 'find').mockImplementation(filter =>
+        mockQuery(
+            filter.createdAt
+                ? posts
+                : posts.filter(post => filter._id.$in.includes(post._id.toString()))
+        )
+    );
+    jest.spyOn(Post, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Like, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Comment, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Like, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Follow, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Block, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+});
+
+const ids = page => page.items.map(post => post._id);
+const decode = cursor => JSON.parse(Buffer.from(cursor, 'base64url').toString());
+const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('getExplorePage', () => {
+    test('pages through one cached ranking', async () => {
+        const viewerId = String(id());
+        const first = await getExplorePage(viewerId, undefined, 2);
+        const second = await getExplorePage(viewerId, first.nextCursor, 2);
+        const third = await getExplorePage(viewerId, second.nextCursor, 2);
+
+        // Without engagement the newest posts rank first
+        expect([...ids(first), ...ids(second), ...ids(third)]).toEqual(posts.map(p => p._id));
+        expect(third.nextCursor).toBeNull();
+        expect(Post.find.mock.calls.filter(([filter]) => filter.createdAt)).toHaveLength(1);
+    });
+
+    test("continues at the cursor's offset when its ranking expired", async () => {
+        const viewerId = String(id());
+        await getExplorePage(viewerId, undefined, 2);
+
+        const page = await getExplorePage(viewerId, encode({ r: 'expired', o: 2 }), 2);
+        expect(ids(page)).toEqual(posts.slice(2, 4).map(p => p._id));
+        expect(decode(page.nextCursor)).toMatchObject({ o: 4 });
+        expect(Post.find.mock.calls.filter(([filter]) => filter.createdAt)).toHaveLength(2);
+    });
+
+    test('continues at the offset of a cursor from another instance', async () => {
+        const page = await getExplorePage(String(id()), encode({ r: 'elsewhere', o: 4 }), 2);
+        expect(ids(page)).toEqual([posts[4]._id]);
+        expect(page.nextCursor).toBeNull();
+    });
+
+    test.each([
+        ['garbage', 'not a cursor'],
+        ['a negative offset', encode({ r: 'x', o: -1 })],
+        ['a fractional offset', encode({ r: 'x', o: 1.5 })],
+    ])('rejects %s', async (name, cursor) => {
+        expect(await getExplorePage(String(id()), cursor, 2)).toBeNull();
+    });
+});
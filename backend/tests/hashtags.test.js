@@ -0,0 +1,56 @@
+const Hashtag = require('../models/Hashtag');
+const { normalizeTag, collectHashtags, syncHashtagCounts } = require('../utils/hashtags');
+
+describe('collectHashtags', () => {
+    test('extracts, normalizes and deduplicates caption and explicit tags', () => {
+        expect(collectHashtags('Sunset #Beach #beach and #café', ['#Travel', 'beach'])).toEqual([
+            'travel',
+            'beach',
+            'café',
+        ]);
+    });
+
+    test('ignores # inside words and URL fragments', () => {
+        expect(collectHashtags('C#sharp https://example.com/#top mail#me')).toEqual([]);
+    });
+
+    test('handles missing captions', () => {
+        expect(collectHashtags(undefined)).toEqual([]);
+    });
+});
+
+describe('normalizeTag', () => {
+    test('strips leading #s, trims, lowercases and caps the length', () => {
+        expect(normalizeTag('  ##FooBar ')).toBe('foobar');
+        expect(normalizeTag('x'.repeat(150))).toHaveLength(100);
+    });
+});
+
+describe('syncHashtagCounts', () => {
+    test('counts added tags and uncounts removed ones', async () => {
+        jest.spyOn(Hashtag, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Hashtag, 'updateMany').mockResolvedValue({});
+
+        await syncHashtagCounts(['kept', 'gone'], ['kept', 'new']);
+
+        expect(Hashtag.updateOne).toHaveBeenCalledTimes(1);
+        expect(Hashtag.updateOne).toHaveBeenCalledWith(
+            { name: 'new' },
+            expect.objectContaining({ $inc: { postCount: 1 } }),
+            { upsert: true }
+        );
+        expect(Hashtag.updateMany).toHaveBeenCalledWith(
+            { name: { $in: ['gone'] } },
+            { $inc: { postCount: -1 } }
+        );
+    });
+
+    test('does nothing when the tags are unchanged', async () => {
+        jest.spyOn(Hashtag, 'updateOne');
+        jest.spyOn(Hashtag, 'updateMany');
+
+        await syncHashtagCounts(['a'], ['a']);
+        expect(Hashtag.updateOne).not.toHaveBeenCalled();
+        expect(Hashtag.updateMany).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,18 @@
+// Stand-in for a Mongoose query: every chained call returns the query, and awaiting it
+// resolves to `result`. Lets tests stub model methods without a database.
+const CHAINED = ['select', 'sort', 'limit', 'skip', 'populate', 'setOptions', 'lean', 'where'];
+
+const mockQuery = result => {
+    const query = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        catch: reject => Promise.resolve(result).catch(reject),
+        distinct: () => mockQuery(result),
+        exec: () => Promise.resolve(result),
+    };
+    CHAINED.forEach(method => {
+        query[method] = jest.fn(() => query);
+    });
+    return query;
+};
+
+module.exports = { mockQuery };
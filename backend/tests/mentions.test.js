@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Block = require('../models/Block');
+const { extractUsernames, notifyMentions } = require('../utils/mentions');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('extractUsernames', () => {
+    test('finds each mentioned username once', () => {
+        expect(extractUsernames('@alice and @bob.smith, thanks @alice!')).toEqual([
+            'alice',
+            'bob.smith',
+        ]);
+    });
+
+    test('drops trailing dots and ignores email addresses', () => {
+        expect(extractUsernames('Ask @carol. Or mail dave@example.com')).toEqual(['carol']);
+    });
+});
+
+describe('notifyMentions', () => {
+    test('skips the author and users already notified before an edit', async () => {
+        const [authorId, earlierId, newId] = [id(), id(), id()];
+        const postId = id();
+        jest.spyOn(Block, 'exists').mockResolvedValue(null);
+        jest.spyOn(Notification, 'create').mockResolvedValue({
+            populate: jest.fn().mockResolvedValue(),
+        });
+
+        await notifyMentions({
+            mentionIds: [authorId, earlierId, newId],
+            previousIds: [earlierId],
+            fromUserId: authorId,
+            postId,
+        });
+
+        expect(Notification.create).toHaveBeenCalledTimes(1);
+        expect(Notification.create).toHaveBeenCalledWith(
+            expect.objectContaining({ userId: newId, type: 'mention', postId })
+        );
+    });
+});
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Notification = require('../models/Notification');
+const ModerationAction = require('../models/ModerationAction');
+const express = require('express');
+const moderationRoutes = require('../routes/moderation');
+const { canActOnOwner, applyAction } = require('../utils/moderation');
+const { mockQuery } = require('./helpers/query');
+
+const mockModerator = { userId: String(new mongoose.Types.ObjectId()), role: 'moderator' };
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = mockModerator;
+    next();
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const moderatorId = id();
+const ownerId = id();
+
+const ownerWithRole = role =>
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(role && { role }));
+
+describe('canActOnOwner', () => {
+    test.each([
+        ['moderator', 'user', true],
+        ['moderator', 'moderator', false],
+        ['moderator', 'admin', false],
+        ['admin', 'moderator', true],
+        ['admin', 'admin', false],
+    ])('%s acting on a %s: %s', async (moderatorRole, ownerRole, allowed) => {
+        ownerWithRole(ownerRole);
+        expect(await canActOnOwner(moderatorRole, ownerId)).toBe(allowed);
+    });
+
+    test('allows acting on content whose owner is gone', async () => {
+        ownerWithRole(null);
+        expect(await canActOnOwner('moderator', ownerId)).toBe(true);
+    });
+});
+
+describe('applyAction', () => {
+    const report = { _id: id(), targetType: 'post', targetId: id(), targetOwnerId: ownerId };
+
+    beforeEach(() => {
+        jest.spyOn(ModerationAction, 'create').mockResolvedValue({});
+    });
+
+    test('hides the target and records the action', async () => {
+        jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+
+        await applyAction('hide', report, { moderatorId, note: 'spam' });
+
+        expect(Post.updateOne).toHaveBeenCalledWith(
+            { _id: report.targetId },
+            { hiddenAt: expect.any(Date) }
+        );
+        expect(ModerationAction.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                moderatorId,
+                action: 'hide',
+                reportId: report._id,
+                targetOwnerId: ownerId,
+                note: 'spam',
+            })
+        );
+    });
+
+    test('suspends the owner for the given days and logs them out', async () => {
+        jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Session, 'find').mockReturnValue(mockQuery([]));
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+
+        await applyAction('suspend', report, { moderatorId, note: 'abuse', suspendDays: 7 });
+
+        const [, update] = User.updateOne.mock.calls[0];
+        const days = (update.suspendedUntil - Date.now()) / (24 * 60 * 60 * 1000);
+        expect(days).toBeCloseTo(7, 2);
+        expect(update.suspensionReason).toBe('abuse');
+        expect(Session.updateMany).toHaveBeenCalledWith(
+            { userId: ownerId, revokedAt: null },
+            { revokedAt: expect.any(Date) }
+        );
+    });
+
+    test('warns the owner with a moderation notice', async () => {
+        jest.spyOn(Notification, 'create').mockResolvedValue({
+            populate: jest.fn().mockResolvedValue(),
+        });
+
+        await applyAction('warn', report, { moderatorId, note: 'be nice' });
+
+        expect(Notification.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                userId: ownerId,
+                type: 'moderation_warning',
+                reportId: report._id,
+                message: 'be nice',
+            })
+        );
+    });
+});
+
+describe('POST /content/:targetType/:targetId/unhide', () => {
+    let server;
+    let baseUrl;
+    beforeAll(async () => {
+        const app = express().use(express.json()).use('/', moderationRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const unhide = (targetId, note) =>
+        fetch(`${baseUrl}/content/post/${targetId}/unhide`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ note }),
+        });
+
+    const stubPost = fields => {
+        const doc = new Post({ userId: ownerId, mediaUrl: 'u', mediaId: 'm', ...fields });
+        jest.spyOn(doc, 'save').mockResolvedValue(doc);
+        jest.spyOn(Post, 'findById').mockReturnValue(mockQuery(doc));
+        return doc;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(ModerationAction, 'create').mockResolvedValue({});
+    });
+
+    test('shows a hidden post again and records it in the audit log', async () => {
+        const doc = stubPost({ hiddenAt: new Date() });
+
+        const res = await unhide(doc._id, 'hidden by mistake');
+        expect(res.status).toBe(200);
+        expect(doc.hiddenAt).toBeNull();
+        expect(doc.save).toHaveBeenCalled();
+        expect(ModerationAction.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                moderatorId: mockModerator.userId,
+                action: 'unhide',
+                targetType: 'post',
+                targetId: doc._id,
+                targetOwnerId: ownerId,
+                note: 'hidden by mistake',
+            })
+        );
+    });
+
+    test('refuses content that is not hidden or lost its media', async () => {
+        expect((await unhide(stubPost({})._id)).status).toBe(400);
+
+        const stripped = stubPost({ hiddenAt: new Date(), mediaRemovedAt: new Date() });
+        expect((await unhide(stripped._id)).status).toBe(400);
+        expect(stripped.save).not.toHaveBeenCalled();
+        expect(ModerationAction.create).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 for missing content', async () => {
+        jest.spyOn(Post, 'findById').mockReturnValue(mockQuery(null));
+        expect((await unhide(id())).status).toBe(404);
+    });
+});
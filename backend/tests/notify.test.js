@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Block = require('../models/Block');
+const notify = require('../utils/notify');
+const { subscribe } = require('../utils/pubsub');
+const { mockQuery } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = id();
+const fromUserId = id();
+const postId = id();
+
+const notification = fields => ({ ...fields, populate: jest.fn().mockResolvedValue() });
+
+let pushed;
+let unsubscribe;
+beforeEach(() => {
+    jest.spyOn(Block, 'exists').mockResolvedValue(null);
+    pushed = [];
+    unsubscribe = subscribe(`user:${userId}`, message => pushed.push(message));
+});
+afterEach(() => unsubscribe());
+
+describe('notify', () => {
+    test('creates ungrouped notifications and pushes them to the recipient', async () => {
+        const created = notification({ type: 'follow' });
+        jest.spyOn(Notification, 'create').mockResolvedValue(created);
+
+        expect(await notify({ userId, fromUserId, type: 'follow' })).toBe(created);
+        expect(Notification.create).toHaveBeenCalledWith({
+            userId,
+            fromUserId,
+            type: 'follow',
+            recentActorIds: [fromUserId],
+        });
+        expect(pushed).toEqual([{ event: 'notification', data: created }]);
+    });
+
+    test('stays silent between users who blocked each other', async () => {
+        Block.exists.mockResolvedValue({ _id: id() });
+        jest.spyOn(Notification, 'create');
+
+        expect(await notify({ userId, fromUserId, type: 'follow' })).toBeNull();
+        expect(Notification.create).not.toHaveBeenCalled();
+        expect(pushed).toEqual([]);
+    });
+});
+
+describe('grouped notifications', () => {
+    beforeEach(() => {
+        jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    });
+
+    test('fold every like on a post into one upserted group', async () => {
+        const group = notification({ type: 'like', actorCount: 2 });
+        jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue(group);
+
+        expect(await notify({ userId, fromUserId, type: 'like', postId })).toBe(group);
+
+        const groupKey = `like:${postId}`;
+        expect(Notification.updateOne).toHaveBeenCalledWith(
+            expect.objectContaining({ userId, groupKey, windowStartedAt: expect.anything() }),
+            { $unset: { groupKey: 1 } }
+        );
+        const [filter, update, options] = Notification.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ userId, groupKey });
+        expect(Array.isArray(update)).toBe(true);
+        expect(options).toMatchObject({ upsert: true, setDefaultsOnInsert: false });
+        expect(pushed).toEqual([{ event: 'notification', data: group }]);
+    });
+
+    test('retry once when a concurrent upsert created the group first', async () => {
+        const group = notification({ type: 'like' });
+        jest.spyOn(Notification, 'findOneAndUpdate')
+            .mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }))
+            .mockResolvedValueOnce(group);
+
+        expect(await notify({ userId, fromUserId, type: 'like', postId })).toBe(group);
+        expect(Notification.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    test("don't count or push repeat views of the same story", async () => {
+        const group = notification({ type: 'story_view' });
+        jest.spyOn(Notification, 'findOne').mockReturnValue(mockQuery(group));
+        jest.spyOn(Notification, 'findOneAndUpdate');
+
+        expect(await notify({ userId, fromUserId, type: 'story_view', storyId: id() })).toBe(group);
+        expect(Notification.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(pushed).toEqual([]);
+    });
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LIMIT, MAX_LIMIT, getPageParams, buildPage } = require('../utils/pagination');
+
+const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+const page = (query, ...args) => getPageParams({ query }, ...args);
+
+const docs = count =>
+    Array.from({ length: count }, (_, i) => ({
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: new Date(Date.UTC(2026, 0, 1) - i * 1000),
+        username: `user${i}`,
+    }));
+
+describe('getPageParams', () => {
+    test('starts at the top without a cursor', () => {
+        expect(page({})).toEqual({
+            filter: {},
+            sort: { createdAt: -1, _id: -1 },
+            limit: DEFAULT_LIMIT,
+        });
+    });
+
+    test('caps the limit', () => {
+        expect(page({ limit: '1000' }).limit).toBe(MAX_LIMIT);
+        expect(page({ limit: '5' }).limit).toBe(5);
+    });
+
+    test('continues after the last item of the previous page, breaking ties on _id', () => {
+        const items = docs(3);
+        const last = items[1];
+        const { nextCursor } = buildPage(items, 2);
+
+        const { filter } = page({ cursor: nextCursor });
+        expect(filter).toEqual({
+            $or: [
+                { createdAt: { $lt: last.createdAt } },
+                { createdAt: last.createdAt, _id: { $lt: last._id.toString() } },
+            ],
+        });
+    });
+
+    test('pages forwards for ascending sorts', () => {
+        const cursor = encode({ v: 'bob', id: new mongoose.Types.ObjectId().toString() });
+        const { filter, sort } = page({ cursor }, 'username', 1);
+        expect(sort).toEqual({ username: 1, _id: 1 });
+        expect(filter.$or[0]).toEqual({ username: { $gt: 'bob' } });
+    });
+
+    test.each([
+        ['garbage', 'not a cursor'],
+        ['a bad id', encode({ v: 1, id: 'nope' })],
+        ['an object value', encode({ v: { $gt: '' }, id: '0'.repeat(24) })],
+        ['an invalid date', encode({ v: 'yesterday', d: true, id: '0'.repeat(24) })],
+    ])('rejects %s', (name, cursor) => {
+        expect(page({ cursor })).toBeNull();
+    });
+});
+
+describe('buildPage', () => {
+    test('returns a cursor only when there is another page', () => {
+        const items = docs(3);
+        expect(buildPage(items, 3)).toEqual({ items, nextCursor: null });
+
+        const next = buildPage(items, 2);
+        expect(next.items).toEqual(items.slice(0, 2));
+        expect(next.nextCursor).toEqual(expect.any(String));
+    });
+
+    test('round-trips non-date sort values', () => {
+        const items = docs(2);
+        const { nextCursor } = buildPage(items, 1, 'username');
+        expect(page({ cursor: nextCursor }, 'username', 1).filter.$or[1]).toEqual({
+            username: 'user0',
+            _id: { $gt: items[0]._id.toString() },
+        });
+    });
+});
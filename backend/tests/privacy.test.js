@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const CloseFriend = require('../models/CloseFriend');
+const {
+    canViewContent,
+    canViewStory,
+    filterVisible,
+    getBlockedIds,
+    getFeedExcludedIds,
+} = require('../utils/privacy');
+const { mockQuery } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+const viewerId = id();
+const ownerId = id();
+
+// Stub the lookups behind the privacy checks: who is private, who the viewer follows and
+// the viewer's blocks, as { blockerId, blockedId, type } documents
+const stubAccounts = ({ privateIds = [], followedIds = [], blocks = [] } = {}) => {
+    jest.spyOn(User, 'findById').mockImplementation(userId =>
+        mockQuery({ isPrivate: privateIds.some(p => p.equals(userId)) })
+    );
+    jest.spyOn(User, 'find').mockImplementation(filter =>
+        mockQuery(filter.isPrivate ? privateIds.map(_id => ({ _id })) : [])
+    );
+    jest.spyOn(Follow, 'exists').mockImplementation(filter =>
+        Promise.resolve(followedIds.some(f => f.equals(filter.followedId)) ? { _id: id() } : null)
+    );
+    jest.spyOn(Follow, 'find').mockReturnValue(
+        mockQuery(followedIds.map(followedId => ({ followedId })))
+    );
+    const ofType = type => blocks.filter(b => (b.type || 'block') === type);
+    jest.spyOn(Block, 'exists').mockResolvedValue(ofType('block').length ? { _id: id() } : null);
+    jest.spyOn(Block, 'find').mockImplementation(filter => mockQuery(ofType(filter.type)));
+};
+
+describe('canViewContent', () => {
+    test('lets anyone see a public account, including anonymous viewers', async () => {
+        stubAccounts();
+        expect(await canViewContent(viewerId, ownerId)).toBe(true);
+        expect(await canViewContent(undefined, ownerId)).toBe(true);
+    });
+
+    test('hides a private account from viewers who are not approved followers', async () => {
+        stubAccounts({ privateIds: [ownerId] });
+        expect(await canViewContent(viewerId, ownerId)).toBe(false);
+        expect(await canViewContent(undefined, ownerId)).toBe(false);
+    });
+
+    test('shows a private account to approved followers and to its owner', async () => {
+        stubAccounts({ privateIds: [ownerId], followedIds: [ownerId] });
+        expect(await canViewContent(viewerId, ownerId)).toBe(true);
+        expect(await canViewContent(ownerId, ownerId)).toBe(true);
+    });
+
+    test('only counts accepted follows', async () => {
+        stubAccounts({ privateIds: [ownerId] });
+        await canViewContent(viewerId, ownerId);
+        expect(Follow.exists).toHaveBeenCalledWith(
+            expect.objectContaining({ status: { $ne: 'pending' } })
+        );
+    });
+});
+
+describe('filterVisible', () => {
+    const items = owners => owners.map(userId => ({ userId }));
+    const publicId = id();
+
+    test("drops private accounts' items unless the viewer follows them", async () => {
+        const followedPrivateId = id();
+        stubAccounts({
+            privateIds: [ownerId, followedPrivateId],
+            followedIds: [followedPrivateId],
+        });
+
+        const visible = await filterVisible(
+            viewerId,
+            items([ownerId, publicId, followedPrivateId]),
+            item => item.userId
+        );
+        expect(visible.map(item => item.userId)).toEqual([publicId, followedPrivateId]);
+    });
+
+    test("keeps the viewer's own items from their private account", async () => {
+        stubAccounts({ privateIds: [viewerId] });
+
+        const visible = await filterVisible(viewerId, items([viewerId]), item => item.userId);
+        expect(visible).toHaveLength(1);
+    });
+
+    test('shows anonymous viewers public items only', async () => {
+        stubAccounts({ privateIds: [ownerId] });
+
+        const visible = await filterVisible(
+            undefined,
+            items([ownerId, publicId]),
+            item => item.userId
+        );
+        expect(visible.map(item => item.userId)).toEqual([publicId]);
+    });
+});
+
+describe('blocks', () => {
+    test('hide content in both directions', async () => {
+        stubAccounts({ blocks: [{ blockerId: ownerId, blockedId: viewerId }] });
+        expect(await canViewContent(viewerId, ownerId)).toBe(false);
+        expect(await getBlockedIds(viewerId)).toEqual([ownerId]);
+        expect(await getBlockedIds(ownerId)).toEqual([viewerId]);
+    });
+
+    test("remove blocked users' items, even from public accounts", async () => {
+        const otherId = id();
+        stubAccounts({ blocks: [{ blockerId: viewerId, blockedId: ownerId }] });
+
+        const visible = await filterVisible(
+            viewerId,
+            [{ userId: ownerId }, { userId: otherId }],
+            item => item.userId
+        );
+        expect(visible.map(item => item.userId)).toEqual([otherId]);
+    });
+
+    test('leave muted accounts visible but out of feeds', async () => {
+        stubAccounts({ blocks: [{ blockerId: viewerId, blockedId: ownerId, type: 'mute' }] });
+
+        expect(await canViewContent(viewerId, ownerId)).toBe(true);
+        expect(await getFeedExcludedIds(viewerId)).toEqual([ownerId]);
+    });
+});
+
+describe('canViewStory', () => {
+    const story = audience => ({ userId: ownerId, audience });
+
+    test('shows anonymous viewers stories for everyone, including ones without an audience', async () => {
+        stubAccounts();
+        expect(await canViewStory(undefined, story('everyone'))).toBe(true);
+        expect(await canViewStory(undefined, story(undefined))).toBe(true);
+    });
+
+    test('hides follower and close friend stories from anonymous viewers', async () => {
+        stubAccounts({ followedIds: [ownerId] });
+        expect(await canViewStory(undefined, story('followers'))).toBe(false);
+        expect(await canViewStory(undefined, story('close_friends'))).toBe(false);
+    });
+
+    test('limits close friend stories to the close friends list', async () => {
+        stubAccounts({ followedIds: [ownerId] });
+        jest.spyOn(CloseFriend, 'exists').mockResolvedValue(null);
+        expect(await canViewStory(viewerId, story('followers'))).toBe(true);
+        expect(await canViewStory(viewerId, story('close_friends'))).toBe(false);
+    });
+});
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Story = require('../models/Story');
+const Hashtag = require('../models/Hashtag');
+const { checkPublishAt, announceClaimed, publishDue } = require('../utils/publishing');
+const { mockQuery } = require('./helpers/query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const post = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    hashtags: ['launch'],
+    mentionIds: [],
+    tags: [],
+});
+
+// Queue what each kind of claim returns, one item per call, then nothing
+const stubClaims = ({ due = [], unannounced = [], stories = [] }) => {
+    jest.spyOn(Post, 'findOneAndUpdate').mockImplementation(filter =>
+        mockQuery((filter.publishAt ? due : unannounced).shift() || null)
+    );
+    jest.spyOn(Story, 'findOneAndUpdate').mockImplementation(() =>
+        mockQuery(stories.shift() || null)
+    );
+};
+
+beforeEach(() => {
+    jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Hashtag, 'updateOne').mockResolvedValue({});
+});
+
+describe('publishDue', () => {
+    test('publishes due posts and stories and announces each post once', async () => {
+        const due = post();
+        stubClaims({ due: [due], stories: [{}, {}] });
+
+        expect(await publishDue()).toBe(3);
+
+        const [, update] = Post.findOneAndUpdate.mock.calls[0];
+        expect(update[0].$set.announceRetryAt).toEqual(expect.any(Date));
+        expect(update[1]).toEqual({ $unset: 'publishAt' });
+        expect(Hashtag.updateOne).toHaveBeenCalledTimes(1);
+        expect(Post.updateOne).toHaveBeenCalledWith(
+            { _id: due._id },
+            { $unset: { announceRetryAt: 1 } }
+        );
+    });
+
+    test('dates stories a day from when they were scheduled for', async () => {
+        stubClaims({ stories: [{}] });
+        await publishDue();
+
+        const [, update] = Story.findOneAndUpdate.mock.calls[0];
+        expect(update[0].$set.expiresAt).toEqual({ $add: ['$publishAt', DAY_MS] });
+    });
+
+    test('leaves a post pending when announcing it fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        Hashtag.updateOne.mockRejectedValue(new Error('db down'));
+        stubClaims({ due: [post(), post()] });
+
+        expect(await publishDue()).toBe(2);
+        expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('retries posts whose announcement never finished', async () => {
+        const pending = post();
+        stubClaims({ unannounced: [pending] });
+
+        expect(await publishDue()).toBe(0);
+
+        const retry = Post.findOneAndUpdate.mock.calls.find(([filter]) => filter.announceRetryAt);
+        expect(retry[0]).toEqual({ announceRetryAt: { $lte: expect.any(Date) } });
+        expect(retry[1].announceRetryAt.getTime()).toBeGreaterThan(Date.now());
+        expect(Hashtag.updateOne).toHaveBeenCalledTimes(1);
+        expect(Post.updateOne).toHaveBeenCalledWith(
+            { _id: pending._id },
+            { $unset: { announceRetryAt: 1 } }
+        );
+    });
+});
+
+describe('announceClaimed', () => {
+    test('clears the lease of a post once it is announced', async () => {
+        const created = post();
+        await announceClaimed(created);
+        expect(Post.updateOne).toHaveBeenCalledWith(
+            { _id: created._id },
+            { $unset: { announceRetryAt: 1 } }
+        );
+    });
+
+    test('keeps the lease for the publisher to retry when announcing fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        Hashtag.updateOne.mockRejectedValue(new Error('db down'));
+
+        await expect(announceClaimed(post())).resolves.toBeUndefined();
+        expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+
+    test("keeps the lease out of the post's JSON", () => {
+        const created = new Post({ mediaUrl: 'u', mediaId: 'm', announceRetryAt: new Date() });
+        expect(created.toJSON()).not.toHaveProperty('announceRetryAt');
+    });
+});
+
+describe('checkPublishAt', () => {
+    test('accepts times in the future within the scheduling window', () => {
+        expect(checkPublishAt(new Date(Date.now() + DAY_MS).toISOString())).toBe(true);
+    });
+
+    test('rejects times in the past or too far ahead', () => {
+        expect(() => checkPublishAt(new Date(Date.now() - 1000).toISOString())).toThrow(
+            'in the future'
+        );
+        expect(() => checkPublishAt(new Date(Date.now() + 100 * DAY_MS).toISOString())).toThrow(
+            'at most 75 days'
+        );
+    });
+});
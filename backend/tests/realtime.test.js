@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+const { openStream, pushToUser } = require('../utils/realtime');
+
+// Minimal request/response pair recording what the stream writes
+const openTestStream = (userId, sessionId) => {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        ended: false,
+        set: jest.fn(),
+        flushHeaders: jest.fn(),
+        write: chunk => res.chunks.push(chunk),
+        end: () => {
+            res.ended = true;
+        },
+    };
+    openStream(req, res, userId, sessionId);
+    return { req, res };
+};
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('openStream', () => {
+    test('sends events pushed to its user as Server-Sent Events', async () => {
+        const { req, res } = openTestStream('alice', 's1');
+        await pushToUser('alice', 'notification', { type: 'like' });
+        await pushToUser('bob', 'notification', { type: 'follow' });
+        req.emit('close');
+
+        expect(res.set).toHaveBeenCalledWith(
+            expect.objectContaining({ 'Content-Type': 'text/event-stream' })
+        );
+        expect(res.chunks).toEqual([
+            ': connected\n\n',
+            'event: notification\ndata: {"type":"like"}\n\n',
+        ]);
+    });
+
+    test('stops delivering once the client disconnects', async () => {
+        const { req, res } = openTestStream('alice', 's1');
+        req.emit('close');
+        await pushToUser('alice', 'notification', {});
+
+        expect(res.chunks).toEqual([': connected\n\n']);
+    });
+
+    test('keeps the connection alive with comments', () => {
+        jest.useFakeTimers();
+        const { req, res } = openTestStream('alice', 's1');
+        jest.advanceTimersByTime(25 * 1000);
+        req.emit('close');
+        jest.advanceTimersByTime(25 * 1000);
+
+        expect(res.chunks).toEqual([': connected\n\n', ': ping\n\n']);
+    });
+
+    test('ends when its own session is revoked', async () => {
+        const { res } = openTestStream('alice', 's1');
+        await pushToUser('alice', 'session_revoked', { sessionIds: ['s2'] });
+        expect(res.ended).toBe(false);
+
+        await pushToUser('alice', 'session_revoked', { sessionIds: ['s1'] });
+        await pushToUser('alice', 'notification', {});
+        expect(res.ended).toBe(true);
+        expect(res.chunks).toEqual([': connected\n\n', 'event: session_revoked\ndata: {}\n\n']);
+    });
+});
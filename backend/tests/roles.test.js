@@ -0,0 +1,32 @@
+const authorize = require('../middleware/authorize');
+const { hasRole } = require('../utils/roles');
+
+describe('hasRole', () => {
+    test('ranks admin above moderator above user', () => {
+        expect(hasRole('admin', 'moderator')).toBe(true);
+        expect(hasRole('moderator', 'moderator')).toBe(true);
+        expect(hasRole('moderator', 'admin')).toBe(false);
+        expect(hasRole('user', 'moderator')).toBe(false);
+    });
+});
+
+describe('authorize', () => {
+    const run = role => {
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        const next = jest.fn();
+        authorize('moderator')({ user: { role } }, res, next);
+        return { res, next };
+    };
+
+    test('lets through users with the role or a higher one', () => {
+        expect(run('moderator').next).toHaveBeenCalled();
+        expect(run('admin').next).toHaveBeenCalled();
+    });
+
+    test('answers 403 to everyone else', () => {
+        const { res, next } = run('user');
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Forbidden' });
+    });
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const { searchSection } = require('../utils/search');
+const { mockQuery } = require('./helpers/query');
+
+const user = (username, score = 0) => ({
+    _id: new mongoose.Types.ObjectId(),
+    username,
+    get: () => score,
+});
+
+const alice = user('Alice');
+const alicia = user('alicia_w');
+const bioMatch = user('bob', 1.5);
+
+beforeEach(() => {
+    jest.spyOn(User, 'find').mockImplementation(filter => {
+        if (filter.usernameLower) {
+            return mockQuery(
+                [alice, alicia].filter(u => filter.usernameLower.test(u.username.toLowerCase()))
+            );
+        }
+        return mockQuery(filter.$text ? [bioMatch] : []);
+    });
+    jest.spyOn(Block, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Follow, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Follow, 'find').mockReturnValue(mockQuery([]));
+});
+
+const search = (q, options = {}) => searchSection('users', q, undefined, { limit: 20, ...options });
+
+describe('user search', () => {
+    test('matches username prefixes case-insensitively with an index-friendly regex', async () => {
+        await search('@ALI');
+
+        const [filter] = User.find.mock.calls.find(([f]) => f.usernameLower);
+        expect(filter.usernameLower).toEqual(/^ali/);
+        expect(filter.usernameLower.flags).toBe('');
+    });
+
+    test('ranks an exact username first, then closer prefixes, then text matches', async () => {
+        const { items } = await search('alice');
+        expect(items.map(item => item.username)).toEqual(['Alice', 'bob']);
+
+        const { items: partial } = await search('ali');
+        expect(partial.map(item => item.username)).toEqual(['Alice', 'alicia_w', 'bob']);
+    });
+
+    test('escapes regex characters in the query', async () => {
+        await search('a.+');
+        const [filter] = User.find.mock.calls.find(([f]) => f.usernameLower);
+        expect(filter.usernameLower.source).toBe('^a\\.\\+');
+    });
+
+    test('pages with offset cursors and rejects malformed ones', async () => {
+        const first = await search('ali', { limit: 2 });
+        expect(first.items).toHaveLength(2);
+
+        const second = await search('ali', { limit: 2, cursor: first.nextCursor });
+        expect(second.items.map(item => item.username)).toEqual(['bob']);
+        expect(second.nextCursor).toBeNull();
+
+        expect(await search('ali', { cursor: 'nope' })).toBeNull();
+    });
+});
@@ -0,0 +1,114 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { verifyAccessToken, rotateSession, revokeSessions } = require('../utils/tokens');
+const { subscribe } = require('../utils/pubsub');
+const { mockQuery } = require('./helpers/query');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+
+const liveSession = (overrides = {}) => ({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    ...overrides,
+});
+
+describe('verifyAccessToken', () => {
+    const token = () => jwt.sign({ userId, sessionId }, process.env.JWT_SECRET);
+
+    test('accepts a token backed by a live session and defaults the role', async () => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(liveSession());
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery({}));
+
+        const { user } = await verifyAccessToken(token());
+        expect(user).toMatchObject({ userId: String(userId), role: 'user' });
+    });
+
+    test('rejects a token whose session was revoked', async () => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(liveSession({ revokedAt: new Date() }));
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery({}));
+
+        expect(await verifyAccessToken(token())).toEqual({ error: 'Session revoked' });
+    });
+
+    test('rejects a suspended account', async () => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(liveSession());
+        jest.spyOn(User, 'findById').mockReturnValue(
+            mockQuery({ suspendedUntil: new Date(Date.now() + 60 * 1000) })
+        );
+
+        expect(await verifyAccessToken(token())).toEqual({ error: 'Account suspended' });
+    });
+
+    test('rejects a token signed with another secret', async () => {
+        const forged = jwt.sign({ userId, sessionId }, 'other-secret');
+        expect(await verifyAccessToken(forged)).toEqual({ error: 'Invalid token' });
+    });
+});
+
+describe('rotateSession', () => {
+    beforeEach(() => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(liveSession());
+        jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ role: 'user' }));
+    });
+
+    test('rejects malformed refresh tokens without touching the database', async () => {
+        expect(await rotateSession('not-a-token', req)).toBeNull();
+        expect(Session.findById).not.toHaveBeenCalled();
+    });
+
+    test('issues a new pair for the current secret', async () => {
+        jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(liveSession());
+
+        const tokens = await rotateSession(`${sessionId}.secret`, req);
+        expect(tokens.refreshToken).toMatch(new RegExp(`^${sessionId}\\.`));
+        expect(tokens.refreshToken).not.toBe(`${sessionId}.secret`);
+        expect(jwt.verify(tokens.token, process.env.JWT_SECRET)).toMatchObject({
+            sessionId: String(sessionId),
+        });
+    });
+
+    test('revokes the session when an already-rotated secret is reused', async () => {
+        jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+        jest.spyOn(Session, 'find').mockReturnValue(mockQuery([liveSession()]));
+        const updateMany = jest
+            .spyOn(Session, 'updateMany')
+            .mockResolvedValue({ modifiedCount: 1 });
+
+        expect(await rotateSession(`${sessionId}.stale`, req)).toBeNull();
+        expect(updateMany).toHaveBeenCalledWith(
+            { _id: sessionId, revokedAt: null },
+            { revokedAt: expect.any(Date) }
+        );
+    });
+});
+
+describe('revokeSessions', () => {
+    test("tells the owners' streams which sessions were revoked", async () => {
+        const otherId = new mongoose.Types.ObjectId();
+        jest.spyOn(Session, 'find').mockReturnValue(
+            mockQuery([liveSession(), liveSession({ _id: otherId })])
+        );
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+        const received = [];
+        const unsubscribe = subscribe(`user:${userId}`, message => received.push(message));
+
+        const result = await revokeSessions({ userId });
+        unsubscribe();
+
+        expect(result.modifiedCount).toBe(2);
+        expect(received).toEqual([
+            {
+                event: 'session_revoked',
+                data: { sessionIds: [String(sessionId), String(otherId)] },
+            },
+        ]);
+    });
+});
@@ -0,0 +1,96 @@
+const zlib = require('zlib');
+
+const BLOCK = 512;
+
+// Write `value` as a zero-padded octal string into a header field of `length` bytes
+const writeOctal = (header, value, offset, length) =>
+    header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+
+// 512-byte ustar header for a regular file. Names must fit the 100-byte name field.
+const buildHeader = (name, size, mtime) => {
+    const header = Buffer.alloc(BLOCK);
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8); // mode
+    writeOctal(header, 0, 108, 8); // uid
+    writeOctal(header, 0, 116, 8); // gid
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.write('        ', 148, 8, 'ascii'); // checksum is computed with this field as spaces
+    header.write('0', 156, 1, 'ascii'); // regular file
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    return header;
+};
+
+/**
+ * Stream a .tar.gz into `output`. There's no archive library in the dependencies and the
+ * format is simple enough to write by hand. Returns `{ addFile(name, data), finalize() }`;
+ * both resolve once the output has room for more, and reject if `output` closes or fails
+ * before the archive is finished.
+ */
+const createArchive = output => {
+    const gzip = zlib.createGzip();
+    gzip.pipe(output);
+
+    // An output that closes early (a client disconnecting mid-download) stops reading, so gzip
+    // would never drain again. Fail the pending and any later writes instead.
+    let failure = null;
+    let finished = false;
+    const pending = new Set();
+    const abort = error => {
+        if (failure || finished) {
+            return;
+        }
+        failure = error || new Error('Archive output closed');
+        gzip.destroy();
+        pending.forEach(reject => reject(failure));
+    };
+    output.once('close', () => abort());
+    output.once('error', abort);
+
+    // Resolve when gzip calls back through `register`, or reject on abort
+    const wait = register =>
+        new Promise((resolve, reject) => {
+            pending.add(reject);
+            register(() => {
+                pending.delete(reject);
+                resolve();
+            });
+        });
+
+    const write = chunk => {
+        if (failure) {
+            return Promise.reject(failure);
+        }
+        return gzip.write(chunk) ? Promise.resolve() : wait(done => gzip.once('drain', done));
+    };
+
+    const addFile = async (name, data, mtime = new Date()) => {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        await write(buildHeader(name, buffer.length, mtime));
+        await write(buffer);
+        const padding = (BLOCK - (buffer.length % BLOCK)) % BLOCK;
+        if (padding) {
+            await write(Buffer.alloc(padding));
+        }
+    };
+
+    // Two empty blocks mark the end of the archive
+    const finalize = async () => {
+        if (failure) {
+            throw failure;
+        }
+        await wait(done => gzip.end(Buffer.alloc(BLOCK * 2), done));
+        finished = true;
+    };
+
+    return { addFile, finalize };
+};
+
+module.exports = { createArchive };
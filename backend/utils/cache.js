@@ -0,0 +1,30 @@
+// Small in-process TTL cache; entries are evicted lazily and the oldest go first when full
+const createCache = ({ ttlSeconds, maxEntries = 1000 }) => {
+    const entries = new Map();
+
+    const get = key => {
+        const entry = entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    };
+
+    const set = (key, value) => {
+        entries.delete(key);
+        if (entries.size >= maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    };
+
+    const del = key => entries.delete(key);
+
+    return { get, set, delete: del };
+};
+
+module.exports = createCache;
@@ -0,0 +1,203 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const SavedPost = require('../models/SavedPost');
+const Collection = require('../models/Collection');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const CommentLike = require('../models/CommentLike');
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const Highlight = require('../models/Highlight');
+const CloseFriend = require('../models/CloseFriend');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const HashtagFollow = require('../models/HashtagFollow');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const Session = require('../models/Session');
+const ActionToken = require('../models/ActionToken');
+const { destroyMedia, destroyAllOrFail } = require('./media');
+const { syncHashtagCounts } = require('./hashtags');
+const { removeActor } = require('./notificationGroups');
+
+// Media that fails to delete aborts the cascade before the documents pointing at it are
+// gone, so a retry finds and removes it instead of leaving it orphaned in storage.
+
+// Removal has to reach content moderators hid and content that isn't published yet
+const ALL = { includeHidden: true, includeScheduled: true };
+
+// Delete comments together with their replies, likes and notifications
+const deleteComments = async ids => {
+    if (!ids.length) {
+        return;
+    }
+    const replies = await Comment.find({ parentId: { $in: ids } })
+        .setOptions(ALL)
+        .select('_id');
+    const allIds = [...ids, ...replies.map(r => r._id)];
+    const comments = await Comment.find({ _id: { $in: allIds } })
+        .setOptions(ALL)
+        .select('userId postId');
+    await Promise.all([
+        Comment.deleteMany({ _id: { $in: allIds } }),
+        CommentLike.deleteMany({ commentId: { $in: allIds } }),
+        Notification.deleteMany({ commentId: { $in: allIds }, type: { $ne: 'comment' } }),
+        Notification.updateMany(
+            { commentId: { $in: allIds }, type: 'comment' },
+            { $unset: { commentId: 1 } }
+        ),
+    ]);
+
+    // Comment notifications are grouped per post, so other people's comments share the
+    // group. Authors only leave it once they have no comments left on the post.
+    const authors = new Map(comments.map(c => [`${c.postId}:${c.userId}`, c]));
+    for (const { postId, userId } of authors.values()) {
+        if (!(await Comment.exists({ postId, userId }).setOptions(ALL))) {
+            await removeActor({ type: 'comment', postId }, userId);
+        }
+    }
+};
+
+// Delete a post, its media and everything hanging off it
+const deletePost = async post => {
+    if (!post.mediaRemovedAt) {
+        await destroyAllOrFail(post.media.length ? post.media : [{ mediaId: post.mediaId }]);
+    }
+    const comments = await Comment.find({ postId: post._id }).setOptions(ALL).select('_id');
+    await deleteComments(comments.map(c => c._id));
+    await Promise.all([
+        post.deleteOne(),
+        PostRevision.deleteMany({ postId: post._id }),
+        SavedPost.deleteMany({ postId: post._id }),
+        Like.deleteMany({ postId: post._id }),
+        Notification.deleteMany({ postId: post._id }),
+    ]);
+    // Scheduled posts aren't counted until they're published
+    if (!post.publishAt) {
+        await syncHashtagCounts(post.hashtags, []);
+    }
+};
+
+// Delete a story, its media, views and notifications, and take it out of any highlights.
+// Highlights left without stories are deleted too.
+const deleteStory = async story => {
+    const highlights = await Highlight.find({ storyIds: story._id });
+    for (const highlight of highlights) {
+        highlight.storyIds.pull(story._id);
+        if (!highlight.storyIds.length) {
+            if (highlight.coverMediaId) {
+                await destroyMedia(highlight.coverMediaId, 'image');
+            }
+            await highlight.deleteOne();
+            await Highlight.updateMany(
+                { userId: highlight.userId, position: { $gt: highlight.position } },
+                { $inc: { position: -1 } }
+            );
+            continue;
+        }
+        if (!highlight.coverMediaId && highlight.coverUrl === story.mediaUrl) {
+            const first = await Story.findById(highlight.storyIds[0]).select('mediaUrl');
+            highlight.coverUrl = first?.mediaUrl;
+        }
+        await highlight.save();
+    }
+
+    if (!story.mediaRemovedAt) {
+        await destroyMedia(story.mediaId, story.mediaType);
+    }
+    await Promise.all([
+        story.deleteOne(),
+        StoryView.deleteMany({ storyId: story._id }),
+        Notification.deleteMany({ storyId: story._id }),
+    ]);
+};
+
+// Remove the user from notifications other people received; groups they were only part of
+// keep their other actors
+const removeFromNotifications = async userId => {
+    await removeActor({}, userId);
+    await Notification.deleteMany({ $or: [{ userId }, { fromUserId: userId }] });
+};
+
+// Delete the messages a user sent and take them out of their conversations
+const removeFromConversations = async userId => {
+    const sent = await Message.find({ senderId: userId }).select('attachments');
+    await destroyAllOrFail(sent.flatMap(message => message.attachments));
+    await Message.deleteMany({ senderId: userId });
+
+    const conversations = await Conversation.find({ 'members.userId': userId });
+    for (const conversation of conversations) {
+        conversation.members = conversation.members.filter(m => !m.userId.equals(userId));
+        if (!conversation.members.length) {
+            await Message.deleteMany({ conversationId: conversation._id });
+            await conversation.deleteOne();
+            continue;
+        }
+        const last = await Message.findOne({ conversationId: conversation._id }).sort({
+            createdAt: -1,
+        });
+        conversation.lastMessageId = last?._id;
+        conversation.lastMessageAt = last?.createdAt || conversation.createdAt;
+        await conversation.save();
+    }
+};
+
+/**
+ * Permanently delete an account and everything it owns: posts, stories, highlights,
+ * comments, likes, views, follows, notifications, messages and every stored media file.
+ * Reports about the user and the moderation audit log are kept.
+ */
+const deleteAccount = async userId => {
+    const user = await User.findById(userId);
+    if (!user) {
+        return;
+    }
+
+    const posts = await Post.find({ userId }).setOptions(ALL);
+    for (const post of posts) {
+        await deletePost(post);
+    }
+
+    const highlights = await Highlight.find({ userId });
+    await destroyAllOrFail(
+        highlights.filter(h => h.coverMediaId).map(h => ({ mediaId: h.coverMediaId }))
+    );
+    await Highlight.deleteMany({ userId });
+    const stories = await Story.find({ userId }).setOptions(ALL);
+    for (const story of stories) {
+        await deleteStory(story);
+    }
+
+    const comments = await Comment.find({ userId }).setOptions(ALL).select('_id');
+    await deleteComments(comments.map(c => c._id));
+
+    await removeFromNotifications(userId);
+    await removeFromConversations(userId);
+    await Promise.all([
+        Like.deleteMany({ userId }),
+        CommentLike.deleteMany({ userId }),
+        StoryView.deleteMany({ userId }),
+        Follow.deleteMany({ $or: [{ followerId: userId }, { followedId: userId }] }),
+        Block.deleteMany({ $or: [{ blockerId: userId }, { blockedId: userId }] }),
+        CloseFriend.deleteMany({ $or: [{ userId }, { friendId: userId }] }),
+        HashtagFollow.deleteMany({ userId }),
+        SavedPost.deleteMany({ userId }),
+        Collection.deleteMany({ userId }),
+        Report.deleteMany({ reporterId: userId }),
+        Session.deleteMany({ userId }),
+        ActionToken.deleteMany({ userId }),
+        Post.updateMany({ mentionIds: userId }, { $pull: { mentionIds: userId } }),
+        Post.updateMany({ 'tags.userId': userId }, { $pull: { tags: { userId } } }),
+        Comment.updateMany({ mentionIds: userId }, { $pull: { mentionIds: userId } }),
+    ]);
+
+    if (user.profilePictureId) {
+        await destroyMedia(user.profilePictureId, 'image');
+    }
+    await user.deleteOne();
+};
+
+module.exports = { deleteComments, deletePost, deleteStory, deleteAccount };
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Like = require('../models/Like');
+const Post = require('../models/Post');
+const config = require('../config/explore');
+const createCache = require('./cache');
+const { filterVisible, getFeedExcludedIds } = require('./privacy');
+
+const rankings = createCache({ ttlSeconds: config.cacheTtlSeconds });
+
+const countBy = async (Model, match) => {
+    const rows = await Model.aggregate([
+        { $match: match },
+        { $group: { _id: '$postId', count: { $sum: 1 } } },
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// How often each hashtag appears on posts the viewer liked recently
+const getLikedHashtagWeights = async userId => {
+    const likes = await Like.find({ userId }).sort({ createdAt: -1 }).limit(200).select('postId');
+    const posts = await Post.find({ _id: { $in: likes.map(l => l.postId) } }).select('hashtags');
+    const weights = new Map();
+    posts.forEach(post =>
+        post.hashtags.forEach(tag => weights.set(tag, (weights.get(tag) || 0) + 1))
+    );
+    return weights;
+};
+
+/**
+ * Rank recent posts the viewer might like from accounts they don't follow. The score combines
+ * likes, comments, recency, likes from people the viewer follows and overlap with hashtags
+ * the viewer has liked, weighted by config/explore.js.
+ */
+const rankExplore = async userId => {
+    const { weights, windowDays, candidateLimit, recencyHalfLifeHours } = config;
+    // Pending requests count too: those accounts are either private or about to be followed
+    const [follows, excludedIds] = await Promise.all([
+        Follow.find({ followerId: userId }).select('followedId'),
+        getFeedExcludedIds(userId),
+    ]);
+    const followedIds = follows.map(f => f.followedId);
+
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+    const candidates = await Post.find({
+        createdAt: { $gte: since },
+        userId: { $nin: [userId, ...followedIds, ...excludedIds] },
+    })
+        .sort({ createdAt: -1 })
+        .limit(candidateLimit)
+        .select('userId hashtags createdAt');
+    const visible = await filterVisible(userId, candidates, post => post.userId);
+    const ids = visible.map(post => post._id);
+
+    const [likeCounts, commentCounts, followLikeCounts, hashtagWeights] = await Promise.all([
+        countBy(Like, { postId: { $in: ids } }),
+        countBy(Comment, { postId: { $in: ids } }),
+        countBy(Like, { postId: { $in: ids }, userId: { $in: followedIds } }),
+        getLikedHashtagWeights(userId),
+    ]);
+    const maxTagWeight = Math.max(1, ...hashtagWeights.values());
+
+    const now = Date.now();
+    const scored = visible.map(post => {
+        const id = post._id.toString();
+        const ageHours = (now - post.createdAt) / (60 * 60 * 1000);
+        const tagOverlap = post.hashtags.reduce(
+            (sum, tag) => sum + (hashtagWeights.get(tag) || 0) / maxTagWeight,
+            0
+        );
+        const score =
+            weights.likes * Math.log1p(likeCounts.get(id) || 0) +
+            weights.comments * Math.log1p(commentCounts.get(id) || 0) +
+            weights.recency * Math.pow(0.5, ageHours / recencyHalfLifeHours) +
+            weights.followOverlap * Math.log1p(followLikeCounts.get(id) || 0) +
+            weights.hashtagOverlap * Math.min(tagOverlap, 3);
+        return { id, score };
+    });
+    scored.sort((a, b) => b.score - a.score);
+    return scored.map(entry => entry.id);
+};
+
+/**
+ * One page of the viewer's explore feed. The ranking is cached per viewer so pages stay
+ * consistent while they scroll; the cursor carries the ranking id and offset. A cursor whose
+ * ranking has expired, or was cached by another instance, continues at its offset in a new
+ * ranking. Returns null for a malformed cursor.
+ */
+const getExplorePage = async (userId, cursor, limit) => {
+    let offset = 0;
+    let rankingId;
+    if (cursor) {
+        try {
+            ({ r: rankingId, o: offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString()));
+        } catch (error) {
+            return null;
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            return null;
+        }
+    }
+
+    let ranking = rankings.get(userId);
+    // A fresh first page, or a cursor from a ranking this instance no longer has, starts a new
+    // ranking. Continuing at the cursor's offset keeps the client moving forward; restarting
+    // from the top would hand it the pages it already saw.
+    if (!ranking || !cursor || ranking.id !== rankingId) {
+        ranking = { id: crypto.randomBytes(6).toString('hex'), postIds: await rankExplore(userId) };
+        rankings.set(userId, ranking);
+    }
+
+    const pageIds = ranking.postIds.slice(offset, offset + limit);
+    const posts = await Post.find({ _id: { $in: pageIds } }).populate(
+        'userId',
+        'username profilePicture'
+    );
+    const byId = new Map(posts.map(post => [post._id.toString(), post]));
+    const items = pageIds.map(id => byId.get(id)).filter(Boolean);
+
+    const nextOffset = offset + limit;
+    const nextCursor =
+        nextOffset < ranking.postIds.length
+            ? Buffer.from(JSON.stringify({ r: ranking.id, o: nextOffset })).toString('base64url')
+            : null;
+    return { items, nextCursor };
+};
+
+module.exports = { rankExplore, getExplorePage };
@@ -0,0 +1,196 @@
+const path = require('path');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const CommentLike = require('../models/CommentLike');
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const Highlight = require('../models/Highlight');
+const CloseFriend = require('../models/CloseFriend');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const HashtagFollow = require('../models/HashtagFollow');
+const Collection = require('../models/Collection');
+const SavedPost = require('../models/SavedPost');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const Session = require('../models/Session');
+const { readMedia } = require('./media');
+const { createArchive } = require('./archive');
+
+// The user's own content, including anything moderators hid or that's still scheduled
+const ALL = { includeHidden: true, includeScheduled: true };
+const USER_FIELDS = 'username';
+
+const extensionOf = url => {
+    try {
+        return path.extname(new URL(url).pathname);
+    } catch (error) {
+        return '';
+    }
+};
+
+// Gather everything stored about a user, grouped into the JSON files of the export
+const collectData = async userId => {
+    const [
+        profile,
+        posts,
+        comments,
+        likes,
+        commentLikes,
+        stories,
+        highlights,
+        storyViews,
+        following,
+        followers,
+        blocks,
+        closeFriends,
+        hashtagFollows,
+        collections,
+        saved,
+        notifications,
+        conversations,
+        reports,
+        sessions,
+    ] = await Promise.all([
+        User.findById(userId).select('-password'),
+        Post.find({ userId }).setOptions(ALL).sort({ createdAt: 1 }),
+        Comment.find({ userId }).setOptions(ALL).sort({ createdAt: 1 }),
+        Like.find({ userId }).select('postId createdAt'),
+        CommentLike.find({ userId }).select('commentId createdAt'),
+        Story.find({ userId }).setOptions(ALL).sort({ createdAt: 1 }),
+        Highlight.find({ userId }).sort({ position: 1 }),
+        StoryView.find({ userId }).select('-userId'),
+        Follow.find({ followerId: userId }).populate('followedId', USER_FIELDS),
+        Follow.find({ followedId: userId }).populate('followerId', USER_FIELDS),
+        Block.find({ blockerId: userId }).populate('blockedId', USER_FIELDS),
+        CloseFriend.find({ userId }).populate('friendId', USER_FIELDS),
+        HashtagFollow.find({ userId }).populate('hashtagId', 'name'),
+        Collection.find({ userId }),
+        SavedPost.find({ userId }).select('postId collectionId createdAt'),
+        Notification.find({ userId }).sort({ createdAt: -1 }),
+        Conversation.find({ 'members.userId': userId }).populate('members.userId', USER_FIELDS),
+        Report.find({ reporterId: userId }).select(
+            'targetType targetId reason details status createdAt'
+        ),
+        Session.find({ userId }).select('-refreshTokenHash'),
+    ]);
+    const [revisions, messages] = await Promise.all([
+        PostRevision.find({ postId: { $in: posts.map(p => p._id) } }),
+        Message.find({ conversationId: { $in: conversations.map(c => c._id) } })
+            .populate('senderId', USER_FIELDS)
+            .sort({ createdAt: 1 }),
+    ]);
+
+    return {
+        'profile.json': profile,
+        'posts.json': { posts, revisions },
+        'comments.json': comments,
+        'likes.json': { posts: likes, comments: commentLikes },
+        'stories.json': { stories, highlights, viewed: storyViews },
+        'connections.json': {
+            following,
+            followers,
+            blocksAndMutes: blocks,
+            closeFriends,
+            hashtags: hashtagFollows,
+        },
+        'saved.json': { collections, saved },
+        'notifications.json': notifications,
+        'messages.json': { conversations, messages },
+        'reports.json': reports,
+        'sessions.json': sessions,
+    };
+};
+
+// Media files of the export as { name, mediaId, type }
+const listMedia = data => {
+    const files = [];
+    const profile = data['profile.json'];
+    if (profile.profilePictureId) {
+        files.push({
+            name: `media/profile${extensionOf(profile.profilePicture)}`,
+            mediaId: profile.profilePictureId,
+            type: 'image',
+        });
+    }
+    data['posts.json'].posts
+        .filter(post => !post.mediaRemovedAt)
+        .forEach(post => {
+            const media = post.toJSON().media;
+            media.forEach((item, i) =>
+                files.push({
+                    name: `media/posts/${post._id}-${i}${extensionOf(item.url)}`,
+                    mediaId: item.mediaId,
+                    type: item.type,
+                })
+            );
+        });
+    data['stories.json'].stories
+        .filter(story => !story.mediaRemovedAt)
+        .forEach(story =>
+            files.push({
+                name: `media/stories/${story._id}${extensionOf(story.mediaUrl)}`,
+                mediaId: story.mediaId,
+                type: story.mediaType,
+            })
+        );
+    data['stories.json'].highlights
+        .filter(highlight => highlight.coverMediaId)
+        .forEach(highlight =>
+            files.push({
+                name: `media/highlights/${highlight._id}${extensionOf(highlight.coverUrl)}`,
+                mediaId: highlight.coverMediaId,
+                type: 'image',
+            })
+        );
+    data['messages.json'].messages
+        .filter(message => message.senderId?._id.equals(profile._id))
+        .forEach(message =>
+            message.attachments.forEach((attachment, i) =>
+                files.push({
+                    name: `media/messages/${message._id}-${i}${extensionOf(attachment.url)}`,
+                    mediaId: attachment.mediaId,
+                    type: attachment.type,
+                })
+            )
+        );
+    return files;
+};
+
+/**
+ * Write a .tar.gz of everything stored about the user into `output`: one JSON file per area
+ * plus the media they uploaded. Media that can't be read from storage is listed in
+ * missing_media.json instead of failing the whole export.
+ */
+const writeAccountExport = async (userId, output) => {
+    const data = await collectData(userId);
+    const archive = createArchive(output);
+
+    for (const [name, content] of Object.entries(data)) {
+        await archive.addFile(name, JSON.stringify(content, null, 2));
+    }
+
+    const missing = [];
+    for (const file of listMedia(data)) {
+        let buffer;
+        try {
+            buffer = await readMedia(file.mediaId, file.type);
+        } catch (error) {
+            missing.push(file.name);
+            continue;
+        }
+        await archive.addFile(file.name, buffer);
+    }
+    if (missing.length) {
+        await archive.addFile('missing_media.json', JSON.stringify(missing, null, 2));
+    }
+
+    await archive.finalize();
+};
+
+module.exports = { writeAccountExport };
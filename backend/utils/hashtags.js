@@ -0,0 +1,70 @@
+const Hashtag = require('../models/Hashtag');
+const HashtagFollow = require('../models/HashtagFollow');
+const Post = require('../models/Post');
+
+const MAX_TAG_LENGTH = 100;
+const TRENDING_WINDOW_HOURS = parseInt(process.env.TRENDING_WINDOW_HOURS) || 24;
+// A '#' preceded by a letter or digit ("a#b", URL fragments) doesn't start a tag
+const TAG_PATTERN = /(?:^|[^\p{L}\p{N}_/])#([\p{L}\p{N}_]+)/gu;
+
+const normalizeTag = tag =>
+    String(tag).trim().replace(/^#+/, '').toLowerCase().slice(0, MAX_TAG_LENGTH);
+
+// Tags written in the caption plus any the client sent explicitly, normalized and deduplicated
+const collectHashtags = (caption, explicit = []) => {
+    const fromCaption = [...(caption || '').matchAll(TAG_PATTERN)].map(match => match[1]);
+    return [...new Set([...explicit, ...fromCaption].map(normalizeTag).filter(Boolean))];
+};
+
+// Keep Hashtag.postCount in step when a post's tags change from `before` to `after`
+const syncHashtagCounts = async (before = [], after = []) => {
+    const added = after.filter(tag => !before.includes(tag));
+    const removed = before.filter(tag => !after.includes(tag));
+    const now = new Date();
+    const updates = added.map(name =>
+        Hashtag.updateOne(
+            { name },
+            {
+                $inc: { postCount: 1 },
+                $set: { lastUsedAt: now },
+                $setOnInsert: { createdAt: now },
+            },
+            { upsert: true }
+        )
+    );
+    if (removed.length) {
+        updates.push(Hashtag.updateMany({ name: { $in: removed } }, { $inc: { postCount: -1 } }));
+    }
+    await Promise.all(updates);
+};
+
+const getFollowedHashtags = async userId => {
+    const follows = await HashtagFollow.find({ userId }).populate('hashtagId', 'name');
+    return follows.filter(f => f.hashtagId).map(f => f.hashtagId.name);
+};
+
+// Score each tag by how many posts used it within the trending window
+const refreshTrending = async () => {
+    const since = new Date(Date.now() - TRENDING_WINDOW_HOURS * 60 * 60 * 1000);
+    const usage = await Post.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $unwind: '$hashtags' },
+        { $group: { _id: '$hashtags', count: { $sum: 1 } } },
+    ]);
+    await Hashtag.updateMany({ trendingScore: { $ne: 0 } }, { trendingScore: 0 });
+    if (usage.length) {
+        await Hashtag.bulkWrite(
+            usage.map(({ _id, count }) => ({
+                updateOne: { filter: { name: _id }, update: { trendingScore: count } },
+            }))
+        );
+    }
+};
+
+module.exports = {
+    normalizeTag,
+    collectHashtags,
+    syncHashtagCounts,
+    getFollowedHashtags,
+    refreshTrending,
+};
@@ -0,0 +1,8 @@
+// Prints outgoing mail to stdout; the default for local development
+const send = async message => {
+    console.log(
+        `[mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+};
+
+module.exports = { send };
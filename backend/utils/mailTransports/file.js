@@ -0,0 +1,12 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each outgoing mail to MAIL_FILE_DIR as JSON so tests can read it back
+const send = async message => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+};
+
+module.exports = { send };
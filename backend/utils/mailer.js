@@ -0,0 +1,36 @@
+const transports = {
+    console: require('./mailTransports/console'),
+    file: require('./mailTransports/file'),
+};
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Register an extra transport (e.g. SMTP or a provider API) exposing `send(message)`
+const registerTransport = (name, transport) => {
+    transports[name] = transport;
+};
+
+const sendMail = async message => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    await transport.send({ from: process.env.MAIL_FROM || 'no-reply@localhost', ...message });
+};
+
+const sendVerificationEmail = (user, token) =>
+    sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.username},\n\nConfirm your email address by opening:\n${APP_URL}/verify-email?token=${token}\n`,
+    });
+
+const sendPasswordResetEmail = (user, token) =>
+    sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\nReset your password by opening:\n${APP_URL}/reset-password?token=${token}\n\nIf you did not request this, you can ignore this email.\n`,
+    });
+
+module.exports = { registerTransport, sendMail, sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,45 @@
+const { getStorage } = require('./storage');
+
+const uploadFile = (file, options) => getStorage().upload(file, options);
+
+const destroyMedia = (mediaId, type) => getStorage().remove(mediaId, type);
+
+const readMedia = (mediaId, type) => getStorage().read(mediaId, type);
+
+const signedUrl = (mediaId, type) => getStorage().getSignedUrl(mediaId, type);
+
+const destroyAll = items =>
+    Promise.allSettled(items.map(item => destroyMedia(item.mediaId, item.type)));
+
+// Like destroyAll, but rejects with the first failure once every removal has settled
+const destroyAllOrFail = async items => {
+    const failed = (await destroyAll(items)).find(r => r.status === 'rejected');
+    if (failed) {
+        throw failed.reason;
+    }
+};
+
+/**
+ * Upload every file or none: if one upload fails, the ones that succeeded are destroyed
+ * and the error is rethrown. Resolves to media entries in the same order as `files`.
+ */
+const uploadAll = async (files, options) => {
+    const results = await Promise.allSettled(files.map(file => uploadFile(file, options)));
+    const uploaded = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+    const failed = results.find(r => r.status === 'rejected');
+    if (failed) {
+        await destroyAll(uploaded);
+        throw failed.reason;
+    }
+    return uploaded;
+};
+
+module.exports = {
+    uploadFile,
+    uploadAll,
+    destroyMedia,
+    destroyAll,
+    destroyAllOrFail,
+    readMedia,
+    signedUrl,
+};
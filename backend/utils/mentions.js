@@ -0,0 +1,34 @@
+const User = require('../models/User');
+const notify = require('./notify');
+
+// An '@' preceded by a word character (emails) doesn't start a mention
+const MENTION_PATTERN = /(?:^|[^\w@.])@([\w.]+)/g;
+
+const extractUsernames = text => [
+    ...new Set(
+        [...(text || '').matchAll(MENTION_PATTERN)].map(match => match[1].replace(/\.+$/, ''))
+    ),
+];
+
+// Users mentioned in text, resolved by username
+const resolveMentions = async text => {
+    const usernames = extractUsernames(text);
+    if (!usernames.length) {
+        return [];
+    }
+    const users = await User.find({ username: { $in: usernames } }).select('_id');
+    return users.map(u => u._id);
+};
+
+// Send a 'mention' notification to each mentioned user except the author and anyone already
+// notified (`previousIds`, e.g. the mentions before an edit)
+const notifyMentions = async ({ mentionIds, previousIds = [], fromUserId, ...target }) => {
+    const skip = new Set([fromUserId.toString(), ...previousIds.map(id => id.toString())]);
+    await Promise.all(
+        mentionIds
+            .filter(id => !skip.has(id.toString()))
+            .map(userId => notify({ userId, fromUserId, type: 'mention', ...target }))
+    );
+};
+
+module.exports = { extractUsernames, resolveMentions, notifyMentions };
@@ -0,0 +1,104 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Story = require('../models/Story');
+const User = require('../models/User');
+const ModerationAction = require('../models/ModerationAction');
+const notify = require('./notify');
+const { destroyAll, destroyMedia } = require('./media');
+const { revokeSessions } = require('./tokens');
+const { hasRole } = require('./roles');
+
+const CONTENT_MODELS = { post: Post, comment: Comment, story: Story };
+
+// Actions against the owner rather than the content, which need a lower role than the moderator's
+const OWNER_ACTIONS = ['warn', 'suspend'];
+
+// Takedown actions a moderator can apply to each kind of report target
+const TARGET_ACTIONS = {
+    post: ['hide', 'delete_media', 'warn', 'suspend'],
+    comment: ['hide', 'warn', 'suspend'],
+    story: ['hide', 'delete_media', 'warn', 'suspend'],
+    user: ['warn', 'suspend'],
+};
+
+// Load a report target, hidden or not. Returns { doc, ownerId } or null if it doesn't exist.
+const loadTarget = async (targetType, targetId) => {
+    if (targetType === 'user') {
+        const user = await User.findById(targetId).select('username');
+        return user && { doc: user, ownerId: user._id };
+    }
+    const doc = await CONTENT_MODELS[targetType]
+        .findById(targetId)
+        .setOptions({ includeHidden: true });
+    return doc && { doc, ownerId: doc.userId };
+};
+
+// Whether a moderator with `moderatorRole` may warn or suspend the owner of `ownerId`.
+// Nobody can act against their own role or a higher one.
+const canActOnOwner = async (moderatorRole, ownerId) => {
+    const owner = await User.findById(ownerId).select('role');
+    return !owner || !hasRole(owner.role, moderatorRole);
+};
+
+// Record an action in the audit log. `report` is the report acted on, or a plain
+// { targetType, targetId, targetOwnerId } for actions taken outside the report queue.
+const logAction = (moderatorId, action, report, note) =>
+    ModerationAction.create({
+        moderatorId,
+        action,
+        reportId: report?._id,
+        targetType: report?.targetType,
+        targetId: report?.targetId,
+        targetOwnerId: report?.targetOwnerId,
+        note,
+    });
+
+// Apply one takedown action for a report and record it in the audit log
+const applyAction = async (action, report, { moderatorId, note, suspendDays }) => {
+    const { targetType, targetId, targetOwnerId } = report;
+    const now = new Date();
+
+    if (action === 'hide') {
+        await CONTENT_MODELS[targetType].updateOne({ _id: targetId }, { hiddenAt: now });
+    } else if (action === 'delete_media') {
+        // Content without its media can't be shown, so it is hidden as well
+        const target = await loadTarget(targetType, targetId);
+        if (target && !target.doc.mediaRemovedAt) {
+            const { doc } = target;
+            if (targetType === 'post') {
+                await destroyAll(doc.media.length ? doc.media : [{ mediaId: doc.mediaId }]);
+            } else {
+                await destroyMedia(doc.mediaId, doc.mediaType);
+            }
+            doc.set({ mediaRemovedAt: now, hiddenAt: doc.hiddenAt || now });
+            await doc.save();
+        }
+    } else if (action === 'warn') {
+        await notify({
+            userId: targetOwnerId,
+            type: 'moderation_warning',
+            reportId: report._id,
+            message: note,
+        });
+    } else if (action === 'suspend') {
+        await User.updateOne(
+            { _id: targetOwnerId },
+            {
+                suspendedUntil: new Date(now.getTime() + suspendDays * 24 * 60 * 60 * 1000),
+                suspensionReason: note,
+            }
+        );
+        await revokeSessions({ userId: targetOwnerId });
+    }
+
+    await logAction(moderatorId, action, report, note);
+};
+
+module.exports = {
+    TARGET_ACTIONS,
+    OWNER_ACTIONS,
+    loadTarget,
+    canActOnOwner,
+    logAction,
+    applyAction,
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+// Notification types that are grouped per target, and the field identifying the target
+const GROUP_TARGETS = {
+    like: 'postId',
+    comment: 'postId',
+    comment_like: 'commentId',
+    story_view: 'storyId',
+};
+const GROUPED_TYPES = Object.keys(GROUP_TARGETS);
+const GROUP_WINDOW_HOURS = parseInt(process.env.NOTIFICATION_GROUP_WINDOW_HOURS) || 24;
+const RECENT_ACTORS = 3;
+
+// Update pipelines aren't cast by Mongoose, so ids have to be ObjectIds already
+const toObjectId = id => new mongoose.Types.ObjectId(id.toString());
+
+const without = (input, id) => ({ $filter: { input, cond: { $ne: ['$$this', id] } } });
+
+// Keep recentActorIds filled from the full actor set and derive the count and latest actor
+const recountStages = [
+    {
+        $set: {
+            recentActorIds: {
+                $slice: [
+                    {
+                        $concatArrays: [
+                            '$recentActorIds',
+                            { $setDifference: ['$actorIds', '$recentActorIds'] },
+                        ],
+                    },
+                    RECENT_ACTORS,
+                ],
+            },
+            actorCount: { $size: '$actorIds' },
+        },
+    },
+    { $set: { fromUserId: { $arrayElemAt: ['$recentActorIds', 0] } } },
+];
+
+/**
+ * Fold an actor into the open group for the same recipient, type and target, or start one.
+ * At most one group per target is open at a time (groupKey is unique while set) and the
+ * update is a single upsert, so concurrent actors all land in the same group.
+ * Returns `{ group, changed }`; a repeat story view leaves the group unchanged.
+ */
+const addToGroup = async ({ userId, fromUserId, type, ...rest }) => {
+    const groupKey = `${type}:${rest[GROUP_TARGETS[type]]}`;
+    const now = new Date();
+
+    if (type === 'story_view') {
+        const group = await Notification.findOne({ userId, groupKey, actorIds: fromUserId });
+        if (group) {
+            return { group, changed: false };
+        }
+    }
+
+    // Close the open group once its window has passed, so the upsert below starts a new one
+    await Notification.updateOne(
+        {
+            userId,
+            groupKey,
+            windowStartedAt: { $lt: new Date(now - GROUP_WINDOW_HOURS * 60 * 60 * 1000) },
+        },
+        { $unset: { groupKey: 1 } }
+    );
+
+    const actorId = toObjectId(fromUserId);
+    const fields = Notification.castObject({ type, ...rest });
+    const update = [
+        {
+            $set: {
+                ...Object.fromEntries(
+                    Object.entries(fields).map(([key, value]) => [key, { $literal: value }])
+                ),
+                actorIds: { $setUnion: [{ $ifNull: ['$actorIds', []] }, [actorId]] },
+                recentActorIds: {
+                    $concatArrays: [
+                        [actorId],
+                        without({ $ifNull: ['$recentActorIds', []] }, actorId),
+                    ],
+                },
+                readAt: null,
+                lastActivityAt: now,
+                createdAt: { $ifNull: ['$createdAt', now] },
+                windowStartedAt: { $ifNull: ['$windowStartedAt', now] },
+            },
+        },
+        ...recountStages,
+    ];
+    // The pipeline sets every default itself; Mongoose can't add them to a pipeline
+    const upsert = () =>
+        Notification.findOneAndUpdate({ userId, groupKey }, update, {
+            upsert: true,
+            new: true,
+            setDefaultsOnInsert: false,
+        });
+    try {
+        return { group: await upsert(), changed: true };
+    } catch (error) {
+        // Two upserts inserting the same new group at once: the loser joins the winner's
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return { group: await upsert(), changed: true };
+    }
+};
+
+/**
+ * Take an actor out of the grouped notifications matching `filter`, e.g. when their comment
+ * or their account is deleted. Groups left without actors are deleted.
+ */
+const removeActor = async (filter, actorId) => {
+    const id = toObjectId(actorId);
+    await Notification.updateMany({ ...filter, actorIds: id }, [
+        {
+            $set: {
+                actorIds: without('$actorIds', id),
+                recentActorIds: without('$recentActorIds', id),
+            },
+        },
+        ...recountStages,
+    ]);
+    await Notification.deleteMany({
+        ...filter,
+        type: { $in: GROUPED_TYPES },
+        actorIds: { $size: 0 },
+    });
+};
+
+module.exports = { GROUP_TARGETS, GROUPED_TYPES, addToGroup, removeActor };
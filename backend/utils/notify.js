@@ -0,0 +1,46 @@
+const Notification = require('../models/Notification');
+const { isBlocked } = require('./privacy');
+const { pushToUser } = require('./realtime');
+const { GROUP_TARGETS, addToGroup } = require('./notificationGroups');
+
+const ACTOR_FIELDS = 'username profilePicture';
+
+// Create or update a notification unless the two users have blocked each other, and push it
+// to the recipient's open streams. Returns the notification, or null if it was suppressed.
+// fromUserId is omitted for moderation notices.
+const notify = async ({ userId, fromUserId, type, ...rest }) => {
+    if (fromUserId && (await isBlocked(userId, fromUserId))) {
+        return null;
+    }
+
+    let notification;
+    if (GROUP_TARGETS[type]) {
+        const { group, changed } = await addToGroup({ userId, fromUserId, type, ...rest });
+        if (!changed) {
+            return group;
+        }
+        notification = group;
+    } else {
+        notification = await Notification.create({
+            userId,
+            fromUserId,
+            type,
+            recentActorIds: fromUserId ? [fromUserId] : [],
+            ...rest,
+        });
+    }
+
+    // Delivery is best effort; clients still see the notification on their next fetch
+    try {
+        await notification.populate([
+            { path: 'fromUserId', select: ACTOR_FIELDS },
+            { path: 'recentActorIds', select: ACTOR_FIELDS },
+        ]);
+        await pushToUser(userId, 'notification', notification);
+    } catch (error) {
+        console.error('Error pushing notification:', error);
+    }
+    return notification;
+};
+
+module.exports = notify;
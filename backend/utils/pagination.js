@@ -0,0 +1,71 @@
+const { query } = require('express-validator');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Validators shared by every cursor-paginated list endpoint
+const cursorValidators = [
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1 }),
+];
+
+// Cursors are opaque to clients: base64url JSON of the sort key and _id of the last item
+const encodeCursor = (value, id) => {
+    const payload =
+        value instanceof Date ? { v: value.toISOString(), d: true, id } : { v: value, id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = cursor => {
+    try {
+        const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!/^[a-f\d]{24}$/i.test(id) || !['string', 'number'].includes(typeof v)) {
+            return null;
+        }
+        const value = d ? new Date(v) : v;
+        // A crafted value would otherwise reach Mongo and fail as a CastError
+        if (d && Number.isNaN(value.getTime())) {
+            return null;
+        }
+        return { value, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Resolve `?cursor=&limit=` into a Mongo filter and limit.
+ * `sortField` is the primary sort key and `order` 1 or -1; _id breaks ties.
+ * Returns null when the cursor is malformed.
+ */
+const getPageParams = (req, sortField = 'createdAt', order = -1) => {
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const sort = { [sortField]: order, _id: order };
+    if (!req.query.cursor) {
+        return { filter: {}, sort, limit };
+    }
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+        return null;
+    }
+    const op = order === -1 ? '$lt' : '$gt';
+    const filter = {
+        $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+        ],
+    };
+    return { filter, sort, limit };
+};
+
+// Query with `limit + 1` and pass the result here to split off the next cursor
+const buildPage = (docs, limit, sortField = 'createdAt') => {
+    const items = docs.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor =
+        docs.length > limit ? encodeCursor(last[sortField], last._id.toString()) : null;
+    return { items, nextCursor };
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, cursorValidators, getPageParams, buildPage };
@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const CloseFriend = require('../models/CloseFriend');
+
+// Older follow documents predate `status`, so anything not pending counts as accepted
+const ACCEPTED = { status: { $ne: 'pending' } };
+
+// Suspended or banned accounts; they are hidden everywhere until an admin restores them
+const suspendedFilter = () => ({
+    $or: [{ bannedAt: { $ne: null } }, { suspendedUntil: { $gt: new Date() } }],
+});
+
+const isSuspended = user => !!user.bannedAt || user.suspendedUntil > new Date();
+
+const getSuspendedIds = () => User.find(suspendedFilter()).distinct('_id');
+
+const getFollowedIds = async userId => {
+    const follows = await Follow.find({ followerId: userId, ...ACCEPTED }).select('followedId');
+    return follows.map(f => f.followedId);
+};
+
+const isApprovedFollower = async (viewerId, ownerId) =>
+    !!(await Follow.exists({ followerId: viewerId, followedId: ownerId, ...ACCEPTED }));
+
+// Users who blocked userId or were blocked by them; they are hidden from each other everywhere
+const getBlockedIds = async userId => {
+    const blocks = await Block.find({
+        type: 'block',
+        $or: [{ blockerId: userId }, { blockedId: userId }],
+    }).select('blockerId blockedId');
+    return blocks.map(b =>
+        b.blockerId.toString() === userId.toString() ? b.blockedId : b.blockerId
+    );
+};
+
+const isBlocked = async (userA, userB) =>
+    !!(await Block.exists({
+        type: 'block',
+        $or: [
+            { blockerId: userA, blockedId: userB },
+            { blockerId: userB, blockedId: userA },
+        ],
+    }));
+
+// Accounts hidden from userId's feeds: blocks in either direction, the ones they muted
+// and suspended accounts
+const getFeedExcludedIds = async userId => {
+    const [blockedIds, mutes, suspendedIds] = await Promise.all([
+        getBlockedIds(userId),
+        Block.find({ blockerId: userId, type: 'mute' }).select('blockedId'),
+        getSuspendedIds(),
+    ]);
+    return [...blockedIds, ...mutes.map(m => m.blockedId), ...suspendedIds];
+};
+
+// Whether viewerId (may be undefined for anonymous requests) can see ownerId's posts and stories
+const canViewContent = async (viewerId, ownerId) => {
+    if (viewerId && viewerId.toString() === ownerId.toString()) {
+        return true;
+    }
+    if (viewerId && (await isBlocked(viewerId, ownerId))) {
+        return false;
+    }
+    const owner = await User.findById(ownerId).select('isPrivate suspendedUntil bannedAt');
+    if (!owner || isSuspended(owner)) {
+        return false;
+    }
+    if (!owner.isPrivate) {
+        return true;
+    }
+    return !!viewerId && isApprovedFollower(viewerId, ownerId);
+};
+
+// Drop items owned by blocked or suspended users and by private accounts the viewer isn't an
+// approved follower of. getOwnerId maps an item to its owner's id (populated or not).
+const filterVisible = async (viewerId, items, getOwnerId) => {
+    const ownerIds = [...new Set(items.map(item => getOwnerId(item).toString()))];
+    const [privateOwners, suspendedOwners] = await Promise.all([
+        User.find({ _id: { $in: ownerIds }, isPrivate: true }).select('_id'),
+        User.find({ _id: { $in: ownerIds }, ...suspendedFilter() }).select('_id'),
+    ]);
+
+    const hidden = new Set(privateOwners.map(u => u._id.toString()));
+    if (viewerId) {
+        hidden.delete(viewerId.toString());
+        const [follows, blockedIds] = await Promise.all([
+            Follow.find({
+                followerId: viewerId,
+                followedId: { $in: [...hidden] },
+                ...ACCEPTED,
+            }).select('followedId'),
+            getBlockedIds(viewerId),
+        ]);
+        follows.forEach(f => hidden.delete(f.followedId.toString()));
+        blockedIds.forEach(id => hidden.add(id.toString()));
+    }
+    suspendedOwners.forEach(u => hidden.add(u._id.toString()));
+    if (!hidden.size) {
+        return items;
+    }
+    return items.filter(item => !hidden.has(getOwnerId(item).toString()));
+};
+
+// Whether viewerId is in the audience of a story they can otherwise see (see canViewContent).
+// Anonymous viewers are only in the audience of stories for everyone.
+const isInStoryAudience = async (viewerId, story) => {
+    if (!viewerId) {
+        return !['followers', 'close_friends'].includes(story.audience);
+    }
+    const ownerId = story.userId._id || story.userId;
+    if (viewerId.toString() === ownerId.toString()) {
+        return true;
+    }
+    if (story.audience === 'followers') {
+        return isApprovedFollower(viewerId, ownerId);
+    }
+    if (story.audience === 'close_friends') {
+        return !!(await CloseFriend.exists({ userId: ownerId, friendId: viewerId }));
+    }
+    return true;
+};
+
+const canViewStory = async (viewerId, story) =>
+    (await canViewContent(viewerId, story.userId._id || story.userId)) &&
+    isInStoryAudience(viewerId, story);
+
+// Story query condition limiting results to the audiences viewerId belongs to.
+// It doesn't check blocks or private accounts; combine it with those.
+const getStoryAudienceFilter = async viewerId => {
+    const [followedIds, closeFriendOf] = await Promise.all([
+        getFollowedIds(viewerId),
+        CloseFriend.find({ friendId: viewerId }).distinct('userId'),
+    ]);
+    return {
+        $or: [
+            { userId: viewerId },
+            { audience: { $nin: ['followers', 'close_friends'] } },
+            { audience: 'followers', userId: { $in: followedIds } },
+            { audience: 'close_friends', userId: { $in: closeFriendOf } },
+        ],
+    };
+};
+
+module.exports = {
+    ACCEPTED,
+    suspendedFilter,
+    isSuspended,
+    getSuspendedIds,
+    getFollowedIds,
+    isApprovedFollower,
+    getBlockedIds,
+    isBlocked,
+    getFeedExcludedIds,
+    canViewContent,
+    filterVisible,
+    canViewStory,
+    getStoryAudienceFilter,
+};
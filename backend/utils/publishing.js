@@ -0,0 +1,100 @@
+const Post = require('../models/Post');
+const Story = require('../models/Story');
+const notify = require('./notify');
+const { notifyMentions } = require('./mentions');
+const { syncHashtagCounts } = require('./hashtags');
+
+const STORY_DURATION_MS = 24 * 60 * 60 * 1000;
+const MAX_SCHEDULE_DAYS = parseInt(process.env.MAX_SCHEDULE_DAYS) || 75;
+
+// express-validator check for a publishAt: in the future and at most MAX_SCHEDULE_DAYS ahead
+const checkPublishAt = value => {
+    const time = new Date(value).getTime();
+    if (!(time > Date.now())) {
+        throw new Error('publishAt must be in the future');
+    }
+    if (time > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`publishAt can be at most ${MAX_SCHEDULE_DAYS} days ahead`);
+    }
+    return true;
+};
+
+// Hashtag counts and mention/tag notifications for a post that just became visible
+const announcePost = async post => {
+    const authorId = post.userId.toString();
+    await syncHashtagCounts([], post.hashtags);
+    await notifyMentions({ mentionIds: post.mentionIds, fromUserId: authorId, postId: post._id });
+    const taggedIds = [...new Set(post.tags.map(tag => tag.userId.toString()))];
+    await Promise.all(
+        taggedIds
+            .filter(id => id !== authorId)
+            .map(id => notify({ userId: id, fromUserId: authorId, type: 'tag', postId: post._id }))
+    );
+};
+
+// Atomically take one due item: clearing publishAt makes it visible, and another instance
+// running the publisher can't match it any more. It's dated to when it was scheduled for.
+const claimDue = (Model, fields = {}) =>
+    Model.findOneAndUpdate(
+        { publishAt: { $lte: new Date() } },
+        [{ $set: { createdAt: '$publishAt', ...fields } }, { $unset: 'publishAt' }],
+        { new: true, sort: { publishAt: 1 } }
+    ).setOptions({ includeScheduled: true });
+
+// How long an instance has to announce a post before another one may retry it
+const ANNOUNCE_LEASE_MS = 10 * 60 * 1000;
+
+const announceLease = () => new Date(Date.now() + ANNOUNCE_LEASE_MS);
+
+// Take one post whose announcement failed or was interrupted, once its lease has run out
+const claimUnannounced = () =>
+    Post.findOneAndUpdate(
+        { announceRetryAt: { $lte: new Date() } },
+        { announceRetryAt: announceLease() },
+        { new: true, sort: { announceRetryAt: 1 } }
+    );
+
+// Announce a post holding an announceRetryAt lease. The lease is only cleared once that
+// succeeded, so a failure is picked up again by a later run of the publisher.
+const announceClaimed = async post => {
+    try {
+        await announcePost(post);
+        await Post.updateOne({ _id: post._id }, { $unset: { announceRetryAt: 1 } });
+    } catch (error) {
+        console.error(`Error announcing post ${post._id}:`, error);
+    }
+};
+
+/**
+ * Publish every scheduled post and story whose time has come, and retry announcing posts
+ * published earlier whose announcement didn't finish. Safe to run on several instances at
+ * once: each item is claimed by exactly one of them, which then sends its notifications.
+ * Returns the number of items published.
+ */
+const publishDue = async () => {
+    let published = 0;
+    const claimPost = () => claimDue(Post, { announceRetryAt: announceLease() });
+    for (let post = await claimPost(); post; post = await claimPost()) {
+        published++;
+        await announceClaimed(post);
+    }
+    // Posts claimed again here get a fresh lease, so each is tried at most once per run
+    for (let post = await claimUnannounced(); post; post = await claimUnannounced()) {
+        await announceClaimed(post);
+    }
+    // Stories last a day from when they're published, not from when they were scheduled
+    const storyFields = { expiresAt: { $add: ['$publishAt', STORY_DURATION_MS] } };
+    while (await claimDue(Story, storyFields)) {
+        published++;
+    }
+    return published;
+};
+
+module.exports = {
+    STORY_DURATION_MS,
+    checkPublishAt,
+    announcePost,
+    announceLease,
+    announceClaimed,
+    publishDue,
+};
@@ -0,0 +1,32 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process pub/sub. Any adapter exposing the same two methods can replace it via
+ * setAdapter (e.g. one backed by Redis so several server instances share events):
+ *   publish(channel, message) -> Promise
+ *   subscribe(channel, handler) -> unsubscribe function
+ */
+const createMemoryAdapter = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    return {
+        publish: async (channel, message) => {
+            emitter.emit(channel, message);
+        },
+        subscribe: (channel, handler) => {
+            emitter.on(channel, handler);
+            return () => emitter.off(channel, handler);
+        },
+    };
+};
+
+let adapter = createMemoryAdapter();
+
+const setAdapter = next => {
+    adapter = next;
+};
+
+const publish = (channel, message) => adapter.publish(channel, message);
+const subscribe = (channel, handler) => adapter.subscribe(channel, handler);
+
+module.exports = { createMemoryAdapter, setAdapter, publish, subscribe };
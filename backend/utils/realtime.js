@@ -0,0 +1,45 @@
+const { publish, subscribe } = require('./pubsub');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const channelFor = userId => `user:${userId}`;
+
+// Published by revokeSessions; streams of the listed sessions end on it
+const REVOKED_EVENT = 'session_revoked';
+
+// Turn the response into a Server-Sent Events stream for userId until the client disconnects
+// or sessionId is revoked
+const openStream = (req, res, userId, sessionId) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    const unsubscribe = subscribe(channelFor(userId), ({ event, data }) => {
+        if (event === REVOKED_EVENT) {
+            if (data.sessionIds.includes(String(sessionId))) {
+                res.write(`event: ${REVOKED_EVENT}\ndata: {}\n\n`);
+                close();
+                res.end();
+            }
+            return;
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    req.on('close', close);
+};
+
+// Push an event to every open stream of userId
+const pushToUser = (userId, event, data) => publish(channelFor(userId), { event, data });
+
+module.exports = { openStream, pushToUser, REVOKED_EVENT };
@@ -0,0 +1,4 @@
+// Escape user input for use inside a RegExp / Mongo $regex
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
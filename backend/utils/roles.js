@@ -0,0 +1,7 @@
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Whether `role` is at least `required`
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+module.exports = { ROLES, hasRole };
@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Hashtag = require('../models/Hashtag');
+const { ACCEPTED, filterVisible, getBlockedIds, getSuspendedIds } = require('./privacy');
+const { normalizeTag } = require('./hashtags');
+const { escapeRegex } = require('./regex');
+
+// Each section ranks at most this many candidates, so pagination stops there
+const MAX_CANDIDATES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const countBy = async (Model, field, ids, extra = {}) => {
+    const counts = await Model.aggregate([
+        { $match: { [field]: { $in: ids }, ...extra } },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+const byScore = (a, b) => b.score - a.score;
+
+/**
+ * Users whose username starts with the query (autocomplete) or whose username or bio
+ * contain its words. Exact and closer username matches rank first, then text relevance,
+ * follower count and whether the viewer already follows them. Email is never matched.
+ */
+const searchUsers = async (q, viewerId) => {
+    const term = q.replace(/^@+/, '');
+    if (!term) {
+        return [];
+    }
+    const [blockedIds, suspendedIds] = await Promise.all([
+        viewerId ? getBlockedIds(viewerId) : [],
+        getSuspendedIds(),
+    ]);
+    const excluded = { _id: { $nin: [...blockedIds, ...suspendedIds] } };
+
+    const [prefixMatches, textMatches] = await Promise.all([
+        // A case-sensitive anchored regex on the lowercased copy can use its index
+        User.find({ usernameLower: new RegExp(`^${escapeRegex(term.toLowerCase())}`), ...excluded })
+            .select('username profilePicture bio')
+            .sort({ usernameLower: 1 })
+            .limit(MAX_CANDIDATES),
+        User.find({ $text: { $search: term }, ...excluded })
+            .select({ username: 1, profilePicture: 1, bio: 1, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(MAX_CANDIDATES),
+    ]);
+
+    const candidates = new Map();
+    textMatches.forEach(user =>
+        candidates.set(user._id.toString(), { user, textScore: user.get('score') })
+    );
+    prefixMatches.forEach(user => {
+        const entry = candidates.get(user._id.toString()) || { user, textScore: 0 };
+        candidates.set(user._id.toString(), { ...entry, prefix: true });
+    });
+    if (!candidates.size) {
+        return [];
+    }
+
+    const ids = [...candidates.values()].map(entry => entry.user._id);
+    const [followerCounts, followed] = await Promise.all([
+        countBy(Follow, 'followedId', ids, ACCEPTED),
+        viewerId
+            ? Follow.find({ followerId: viewerId, followedId: { $in: ids }, ...ACCEPTED }).distinct(
+                  'followedId'
+              )
+            : [],
+    ]);
+    const followedSet = new Set(followed.map(id => id.toString()));
+
+    const lowerTerm = term.toLowerCase();
+    return [...candidates.entries()]
+        .map(([id, { user, textScore, prefix }]) => {
+            const username = user.username.toLowerCase();
+            let score = textScore * 10 + Math.log10(1 + (followerCounts.get(id) || 0)) * 5;
+            if (username === lowerTerm) {
+                score += 100;
+            } else if (prefix) {
+                score += 50 + 10 * (lowerTerm.length / username.length);
+            }
+            if (followedSet.has(id)) {
+                score += 15;
+            }
+            const { _id, profilePicture, bio } = user;
+            return { item: { _id, username: user.username, profilePicture, bio }, score };
+        })
+        .sort(byScore)
+        .map(entry => entry.item);
+};
+
+/**
+ * Posts whose caption contains the query's words, ranked by text relevance, likes and
+ * recency. Posts the viewer may not see are left out.
+ */
+const searchPosts = async (q, viewerId) => {
+    const posts = await Post.find({ $text: { $search: q } })
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(MAX_CANDIDATES)
+        .populate('userId', 'username profilePicture');
+    const visible = await filterVisible(
+        viewerId,
+        posts.filter(post => post.userId),
+        post => post.userId._id
+    );
+    if (!visible.length) {
+        return [];
+    }
+
+    const likeCounts = await countBy(
+        Like,
+        'postId',
+        visible.map(post => post._id)
+    );
+    const now = Date.now();
+    return visible
+        .map(post => {
+            const ageDays = (now - post.createdAt.getTime()) / DAY_MS;
+            const score =
+                post.get('score') * 10 +
+                Math.log10(1 + (likeCounts.get(post._id.toString()) || 0)) * 3 +
+                10 * Math.pow(0.5, ageDays / 7);
+            const item = post.toJSON();
+            delete item.score;
+            return { item, score };
+        })
+        .sort(byScore)
+        .map(entry => entry.item);
+};
+
+/**
+ * Hashtags starting with the query, exact match first, then by how much they're used
+ * overall and recently.
+ */
+const searchHashtags = async q => {
+    const tag = normalizeTag(q);
+    if (!tag) {
+        return [];
+    }
+    // Names are stored lowercase, so a case-sensitive anchored regex can use the name index
+    const hashtags = await Hashtag.find({ name: new RegExp(`^${escapeRegex(tag)}`) })
+        .select('name postCount trendingScore')
+        .sort({ postCount: -1 })
+        .limit(MAX_CANDIDATES);
+    return hashtags
+        .map(hashtag => ({
+            item: hashtag,
+            score:
+                (hashtag.name === tag ? 100 : 0) +
+                Math.log10(1 + hashtag.postCount) * 10 +
+                Math.log10(1 + hashtag.trendingScore) * 5,
+        }))
+        .sort(byScore)
+        .map(entry => entry.item);
+};
+
+const SEARCHERS = { users: searchUsers, posts: searchPosts, hashtags: searchHashtags };
+
+// Search cursors are offsets into a section's ranking
+const decodeOffset = cursor => {
+    try {
+        const { o } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return Number.isInteger(o) && o >= 0 ? o : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * One page of results for a section ('users', 'posts' or 'hashtags').
+ * Returns `{ items, nextCursor }`, or null for a malformed cursor.
+ */
+const searchSection = async (type, q, viewerId, { cursor, limit }) => {
+    const offset = cursor ? decodeOffset(cursor) : 0;
+    if (offset === null) {
+        return null;
+    }
+    const ranked = await SEARCHERS[type](q, viewerId);
+    const next = offset + limit;
+    return {
+        items: ranked.slice(offset, next),
+        nextCursor:
+            next < ranked.length
+                ? Buffer.from(JSON.stringify({ o: next })).toString('base64url')
+                : null,
+    };
+};
+
+module.exports = { SEARCH_TYPES: Object.keys(SEARCHERS), searchSection };
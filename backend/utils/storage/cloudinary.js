@@ -0,0 +1,59 @@
+const cloudinary = require('cloudinary').v2;
+
+const createCloudinaryStorage = () => {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+
+    // multer keeps uploads in memory, so stream the buffer to Cloudinary
+    const upload = (file, { folder, allowedFormats, maxWidth, maxHeight, resourceType }) =>
+        new Promise((resolve, reject) => {
+            const options = {
+                folder,
+                resource_type: resourceType || 'auto',
+                allowed_formats: allowedFormats,
+            };
+            if (maxWidth || maxHeight) {
+                options.transformation = [{ width: maxWidth, height: maxHeight, crop: 'limit' }];
+            }
+            const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+                if (error) {
+                    return reject(error);
+                }
+                resolve({
+                    url: result.secure_url,
+                    mediaId: result.public_id,
+                    type: result.resource_type === 'video' ? 'video' : 'image',
+                    width: result.width,
+                    height: result.height,
+                });
+            });
+            stream.end(file.buffer);
+        });
+
+    // Videos live under a separate resource type in Cloudinary
+    const remove = (mediaId, type = 'image') =>
+        cloudinary.uploader.destroy(mediaId, {
+            resource_type: type === 'video' ? 'video' : 'image',
+        });
+
+    const getUrl = (mediaId, type = 'image') =>
+        cloudinary.url(mediaId, {
+            secure: true,
+            resource_type: type === 'video' ? 'video' : 'image',
+        });
+
+    const read = async (mediaId, type) => {
+        const response = await fetch(getUrl(mediaId, type));
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${mediaId}: ${response.status}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    };
+
+    return { name: 'cloudinary', upload, remove, read, getUrl, getSignedUrl: getUrl };
+};
+
+module.exports = createCloudinaryStorage;
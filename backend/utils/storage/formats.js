@@ -0,0 +1,25 @@
+const path = require('path');
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'video/mp4': 'mp4',
+};
+
+// Extension for an uploaded file, from its mimetype or failing that its original name
+const extensionOf = file =>
+    MIME_EXTENSIONS[file.mimetype] ||
+    path.extname(file.originalname || '').slice(1).toLowerCase();
+
+const mediaTypeOf = file => (file.mimetype?.startsWith('video/') ? 'video' : 'image');
+
+// Backends without server-side format checks enforce `allowedFormats` here
+const assertAllowedFormat = (file, allowedFormats) => {
+    const ext = extensionOf(file);
+    if (allowedFormats && !allowedFormats.includes(ext)) {
+        throw new Error(`Unsupported file format: ${ext || file.mimetype}`);
+    }
+    return ext;
+};
+
+module.exports = { extensionOf, mediaTypeOf, assertAllowedFormat };
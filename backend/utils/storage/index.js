@@ -0,0 +1,31 @@
+/**
+ * Media storage backends. Each one exposes:
+ *   upload(file, { folder, allowedFormats, maxWidth, maxHeight, resourceType, isPrivate })
+ *     -> { url, mediaId, type, width?, height? }
+ *   remove(mediaId, type)
+ *   read(mediaId, type) -> Buffer
+ *   getUrl(mediaId, type)
+ *   getSignedUrl(mediaId, type) -> a URL that works for private media too
+ * Only S3 keeps isPrivate media private; the other backends serve everything publicly.
+ * The backend is chosen by STORAGE_DRIVER (cloudinary, local or s3; default cloudinary).
+ */
+const drivers = {
+    cloudinary: require('./cloudinary'),
+    local: require('./local'),
+    s3: require('./s3'),
+};
+
+let storage;
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || 'cloudinary';
+        if (!drivers[name]) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        storage = drivers[name]();
+    }
+    return storage;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { assertAllowedFormat, mediaTypeOf } = require('./formats');
+
+const UPLOAD_ROUTE = '/uploads';
+
+// Stores files under UPLOAD_DIR; server.js serves them at /uploads. Meant for offline
+// development and tests, so no resizing happens and dimensions are not reported.
+const createLocalStorage = () => {
+    const root = path.resolve(
+        process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+    );
+    const baseUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+    // Keep ids inside the upload root whatever a caller passes in
+    const resolve = mediaId => {
+        const file = path.resolve(root, mediaId);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error('Invalid media id');
+        }
+        return file;
+    };
+
+    const getUrl = mediaId => `${baseUrl}${UPLOAD_ROUTE}/${mediaId}`;
+
+    const upload = async (file, { folder, allowedFormats }) => {
+        const ext = assertAllowedFormat(file, allowedFormats);
+        const mediaId = path.posix.join(folder, `${crypto.randomBytes(12).toString('hex')}.${ext}`);
+        const target = resolve(mediaId);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, file.buffer);
+        return { url: getUrl(mediaId), mediaId, type: mediaTypeOf(file) };
+    };
+
+    const remove = async mediaId => {
+        await fs.rm(resolve(mediaId), { force: true });
+    };
+
+    const read = mediaId => fs.readFile(resolve(mediaId));
+
+    return {
+        name: 'local',
+        root,
+        route: UPLOAD_ROUTE,
+        upload,
+        remove,
+        read,
+        getUrl,
+        getSignedUrl: getUrl,
+    };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const path = require('path');
+const { assertAllowedFormat, mediaTypeOf } = require('./formats');
+
+// Works with AWS S3 and S3-compatible services (MinIO, R2, Spaces) via S3_ENDPOINT.
+// Objects are uploaded public-read unless `isPrivate` is set, in which case they can only be
+// fetched through short-lived signed URLs. No resizing happens and dimensions are not reported.
+const SIGNED_URL_SECONDS = parseInt(process.env.S3_SIGNED_URL_SECONDS) || 60 * 60;
+
+const createS3Storage = () => {
+    const AWS = require('aws-sdk');
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = process.env.S3_ENDPOINT;
+    const s3 = new AWS.S3({
+        region,
+        endpoint,
+        s3ForcePathStyle: !!endpoint, // most S3-compatible services need path-style URLs
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    });
+    const baseUrl =
+        process.env.S3_PUBLIC_URL ||
+        (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+    const getUrl = mediaId => `${baseUrl}/${mediaId}`;
+
+    const getSignedUrl = mediaId =>
+        s3.getSignedUrl('getObject', { Bucket: bucket, Key: mediaId, Expires: SIGNED_URL_SECONDS });
+
+    const upload = async (file, { folder, allowedFormats, isPrivate }) => {
+        const ext = assertAllowedFormat(file, allowedFormats);
+        const mediaId = path.posix.join(folder, `${crypto.randomBytes(12).toString('hex')}.${ext}`);
+        await s3
+            .putObject({
+                Bucket: bucket,
+                Key: mediaId,
+                Body: file.buffer,
+                ContentType: file.mimetype,
+                ACL: isPrivate ? 'private' : 'public-read',
+            })
+            .promise();
+        return { url: getUrl(mediaId), mediaId, type: mediaTypeOf(file) };
+    };
+
+    const remove = async mediaId => {
+        await s3.deleteObject({ Bucket: bucket, Key: mediaId }).promise();
+    };
+
+    const read = async mediaId => {
+        const object = await s3.getObject({ Bucket: bucket, Key: mediaId }).promise();
+        return object.Body;
+    };
+
+    return { name: 's3', upload, remove, read, getUrl, getSignedUrl };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const HashtagFollow = require('../models/HashtagFollow');
+const Like = require('../models/Like');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { ACCEPTED, getFeedExcludedIds } = require('./privacy');
+
+const WEIGHTS = { mutual: 3, followsYou: 5, sharedHashtag: 1 };
+const INTEREST_TAGS = 50;
+
+// Hashtags the user posts with, likes or follows, most frequent first
+const getInterestTags = async userId => {
+    const [ownPosts, likes, followedTags] = await Promise.all([
+        Post.find({ userId }).sort({ createdAt: -1 }).limit(100).select('hashtags'),
+        Like.find({ userId }).sort({ createdAt: -1 }).limit(200).select('postId'),
+        HashtagFollow.find({ userId }).populate('hashtagId', 'name'),
+    ]);
+    const likedPosts = await Post.find({ _id: { $in: likes.map(l => l.postId) } }).select(
+        'hashtags'
+    );
+
+    const counts = new Map();
+    const add = tag => counts.set(tag, (counts.get(tag) || 0) + 1);
+    [...ownPosts, ...likedPosts].forEach(post => post.hashtags.forEach(add));
+    followedTags.filter(f => f.hashtagId).forEach(f => add(f.hashtagId.name));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, INTEREST_TAGS)
+        .map(([tag]) => tag);
+};
+
+// Short explanation shown with a suggestion, e.g. "Followed by alice and 3 others"
+const buildReason = (candidate, usernames) => {
+    const [first] = candidate.mutualIds.map(id => usernames.get(id)).filter(Boolean);
+    if (first) {
+        const others = candidate.mutualCount - 1;
+        if (others === 0) {
+            return `Followed by ${first}`;
+        }
+        return `Followed by ${first} and ${others} ${others === 1 ? 'other' : 'others'}`;
+    }
+    if (candidate.followsYou) {
+        return 'Follows you';
+    }
+    if (candidate.sharedTags.length) {
+        return `Also into #${candidate.sharedTags[0]}`;
+    }
+    return 'Suggested for you';
+};
+
+/**
+ * Accounts the user may want to follow, ranked by mutual follows (friends of friends),
+ * whether they already follow the user, and shared hashtag interests. Excludes the user,
+ * everyone they follow or requested, and blocked or muted accounts.
+ */
+const getSuggestions = async (userId, limit) => {
+    const [follows, hiddenIds, interestTags] = await Promise.all([
+        Follow.find({ followerId: userId }).select('followedId status'),
+        getFeedExcludedIds(userId),
+        getInterestTags(userId),
+    ]);
+    const acceptedIds = follows.filter(f => f.status !== 'pending').map(f => f.followedId);
+    const excluded = [userId, ...follows.map(f => f.followedId), ...hiddenIds].map(String);
+    const excludedIds = excluded.map(id => new mongoose.Types.ObjectId(id));
+
+    const [mutualRows, followers, tagRows] = await Promise.all([
+        Follow.aggregate([
+            {
+                $match: {
+                    followerId: { $in: acceptedIds },
+                    followedId: { $nin: excludedIds },
+                    status: { $ne: 'pending' },
+                },
+            },
+            { $group: { _id: '$followedId', count: { $sum: 1 }, via: { $push: '$followerId' } } },
+            { $sort: { count: -1 } },
+            { $limit: 200 },
+        ]),
+        Follow.find({ followedId: userId, followerId: { $nin: excludedIds }, ...ACCEPTED })
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .select('followerId'),
+        interestTags.length
+            ? Post.aggregate([
+                  { $match: { hashtags: { $in: interestTags }, userId: { $nin: excludedIds } } },
+                  { $unwind: '$hashtags' },
+                  { $match: { hashtags: { $in: interestTags } } },
+                  { $group: { _id: '$userId', tags: { $addToSet: '$hashtags' } } },
+                  { $limit: 200 },
+              ])
+            : [],
+    ]);
+
+    const candidates = new Map();
+    const candidate = id => {
+        const key = id.toString();
+        if (!candidates.has(key)) {
+            candidates.set(key, {
+                userId: key,
+                mutualCount: 0,
+                mutualIds: [],
+                followsYou: false,
+                sharedTags: [],
+            });
+        }
+        return candidates.get(key);
+    };
+    mutualRows.forEach(row => {
+        const entry = candidate(row._id);
+        entry.mutualCount = row.count;
+        entry.mutualIds = row.via.slice(0, 3).map(String);
+    });
+    followers.forEach(f => {
+        candidate(f.followerId).followsYou = true;
+    });
+    tagRows.forEach(row => {
+        candidate(row._id).sharedTags = row.tags;
+    });
+
+    const ranked = [...candidates.values()]
+        .map(entry => ({
+            ...entry,
+            score:
+                WEIGHTS.mutual * entry.mutualCount +
+                WEIGHTS.followsYou * (entry.followsYou ? 1 : 0) +
+                WEIGHTS.sharedHashtag * entry.sharedTags.length,
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    const userIds = ranked.map(entry => entry.userId);
+    const viaIds = ranked.flatMap(entry => entry.mutualIds);
+    const [users, viaUsers] = await Promise.all([
+        User.find({ _id: { $in: userIds } }).select('username profilePicture bio'),
+        User.find({ _id: { $in: viaIds } }).select('username'),
+    ]);
+    const userById = new Map(users.map(u => [u._id.toString(), u]));
+    const usernames = new Map(viaUsers.map(u => [u._id.toString(), u.username]));
+
+    return ranked
+        .filter(entry => userById.has(entry.userId))
+        .map(entry => ({
+            user: userById.get(entry.userId),
+            mutualCount: entry.mutualCount,
+            followsYou: entry.followsYou,
+            reason: buildReason(entry, usernames),
+        }));
+};
+
+module.exports = { getSuggestions };
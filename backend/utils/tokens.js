@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const ActionToken = require('../models/ActionToken');
+const User = require('../models/User');
+const { isSuspended } = require('./privacy');
+const { pushToUser, REVOKED_EVENT } = require('./realtime');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Verify an access token, its backing session and that the account isn't suspended.
+// Returns `{ user }` or `{ error }`.
+const verifyAccessToken = async token => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return { error: 'Invalid token' };
+    }
+    const [session, user] = await Promise.all([
+        decoded.sessionId && Session.findById(decoded.sessionId),
+        User.findById(decoded.userId).select('suspendedUntil bannedAt'),
+    ]);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: 'Session revoked' };
+    }
+    if (!user || isSuspended(user)) {
+        return { error: 'Account suspended' };
+    }
+    // Tokens issued before roles existed carry none
+    return { user: { ...decoded, role: decoded.role || 'user' } };
+};
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// The role is read when the token is issued, so role changes apply from the next refresh
+const signAccessToken = (session, role) =>
+    jwt.sign({ userId: session.userId, sessionId: session._id, role }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+    });
+
+// Refresh tokens are `<sessionId>.<secret>`; only the hash of the secret is stored.
+const buildTokens = (session, secret, role) => ({
+    token: signAccessToken(session, role),
+    refreshToken: `${session._id}.${secret}`,
+});
+
+// Start a new session for a user and return its access/refresh token pair
+const createSession = async (userId, req) => {
+    const user = await User.findById(userId).select('role');
+    const secret = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+        userId,
+        refreshTokenHash: hashSecret(secret),
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    return buildTokens(session, secret, user.role);
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token is invalid.
+// Presenting an already-rotated secret revokes the session, since it means the token leaked.
+const rotateSession = async (refreshToken, req) => {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+        return null;
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return null;
+    }
+    const user = await User.findById(session.userId).select('role suspendedUntil bannedAt');
+    if (!user || isSuspended(user)) {
+        return null;
+    }
+
+    const nextSecret = crypto.randomBytes(48).toString('hex');
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+        {
+            refreshTokenHash: hashSecret(nextSecret),
+            lastUsedAt: new Date(),
+            userAgent: req.get('user-agent'),
+            ip: req.ip,
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        await revokeSessions({ _id: session._id });
+        return null;
+    }
+
+    return buildTokens(rotated, nextSecret, user.role);
+};
+
+// Revoke every live session matching filter and tell their open streams to close
+const revokeSessions = async filter => {
+    const live = { ...filter, revokedAt: null };
+    const sessions = await Session.find(live).select('userId');
+    const result = await Session.updateMany(live, { revokedAt: new Date() });
+
+    const byUser = new Map();
+    for (const { _id, userId } of sessions) {
+        const key = String(userId);
+        byUser.set(key, [...(byUser.get(key) || []), String(_id)]);
+    }
+    await Promise.all(
+        [...byUser].map(([userId, sessionIds]) => pushToUser(userId, REVOKED_EVENT, { sessionIds }))
+    );
+    return result;
+};
+
+const ACTION_TOKEN_TTLS = {
+    verify_email: 24 * 60 * 60,
+    reset_password: 60 * 60,
+};
+
+// Signed, expiring, single-use token for emailed links (verification, password reset)
+const createActionToken = async (userId, purpose) => {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const expiresIn = ACTION_TOKEN_TTLS[purpose];
+    await ActionToken.create({
+        userId,
+        purpose,
+        jti,
+        expiresAt: new Date(Date.now() + expiresIn * 1000),
+    });
+    return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, { expiresIn, jwtid: jti });
+};
+
+// Marks the token used and returns its userId, or null if invalid, expired or already used
+const consumeActionToken = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.purpose !== purpose || !decoded.jti) {
+        return null;
+    }
+    const record = await ActionToken.findOneAndUpdate(
+        { jti: decoded.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+    return record ? record.userId : null;
+};
+
+module.exports = {
+    verifyAccessToken,
+    createSession,
+    rotateSession,
+    revokeSessions,
+    createActionToken,
+    consumeActionToken,
+};